@@ -0,0 +1,25 @@
+'use strict';
+
+// A stand-in AbortController for the tests, since Node only has one from
+// version 15. Its signal has just the parts the client uses (the AbortSignal
+// interface in index.d.ts).
+function abortController() {
+    const listeners = new Set();
+    const signal = {
+        aborted: false,
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener)
+    };
+
+    return {
+        signal,
+        abort() {
+            if (!signal.aborted) {
+                signal.aborted = true;
+                listeners.forEach(listener => listener());
+            }
+        }
+    };
+}
+
+module.exports = { abortController };
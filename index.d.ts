@@ -0,0 +1,854 @@
+// Type definitions for cex-as-promised
+//
+// Numeric fields are typed by N, which follows the `numbers` option: `number`
+// for 'float' (the default), `string` for 'string', and whatever the `decimal`
+// factory returns for 'decimal', e.g. new CEXIO<Big>({ numbers: 'decimal', decimal: Big }).
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+
+declare class CEXIO<N = number> {
+    constructor(options?: CEXIO.Options<N>, req?: CEXIO.Req);
+
+    account?: string;
+    ccy1: string;
+    ccy2: string;
+    retryOptions: CEXIO.RetryOptions;
+    limiter: CEXIO.RateLimiter | null;
+    nonceStore: CEXIO.NonceStore;
+    marketInfo: CEXIO.MarketInfo;
+
+    queueStats(): CEXIO.QueueStats | null;
+    /** the same client, sending every request with these options */
+    withOptions(options: CEXIO.CallOptions): this;
+    use(middleware: CEXIO.Middleware): this;
+    cache: CEXIO.ResponseCache | null;
+    cacheStats(): CEXIO.CacheStats | null;
+    /** an endpoint name ('order_book'), one endpoint ('order_book/BTC/USD'), or everything */
+    invalidateCache(endpoint?: string): void;
+    /** loads credentials now rather than on the first private call */
+    loadCredentials(): Promise<{ clientId: string; key: string }>;
+    /** new credentials, or with none, asks the provider again on the next private call */
+    rotateCredentials(credentials?: CEXIO.CredentialsOption): this;
+    /** the pair-specific methods bound to one pair */
+    pair(pair: CEXIO.PairLike): CEXIO.PairView<N>;
+
+    // Public API
+    currencyLimits(): Promise<CEXIO.CurrencyLimits<N>>;
+    currencyProfile(): Promise<CEXIO.CurrencyProfile<N>>;
+    ticker(ccy1?: CEXIO.PairLike, ccy2?: string): Promise<CEXIO.Ticker<N>>;
+    tickers(...currencies: string[]): Promise<{ [pair: string]: CEXIO.Ticker<N> }>;
+    lastPrices(...currencies: string[]): Promise<{ [pair: string]: N }>;
+    lastPrice(ccy1?: CEXIO.PairLike, ccy2?: string): Promise<N>;
+    convert(amount: CEXIO.Amount, ccy1?: CEXIO.PairLike, ccy2?: string): Promise<N>;
+    priceStats(lastHours?: number, maxItems?: number, ccy1?: CEXIO.PairLike, ccy2?: string): Promise<Array<{ tmsp: string; price: N }>>;
+    ohlcv(day: string | number, ccy1?: CEXIO.PairLike, ccy2?: string): Promise<{ time: number; data1m: number[][] }>;
+    /** a Date is the range from that moment */
+    ohlcv(range: CEXIO.OHLCVRange | Date, ccy1?: CEXIO.PairLike, ccy2?: string): Promise<Array<CEXIO.Candle<N>>>;
+    tradeHistory(options?: CEXIO.TradeHistoryOptions): Promise<CEXIO.Trade[]>;
+    tradeHistoryIterator(options?: CEXIO.TradeHistoryOptions): AsyncIterableIterator<CEXIO.Trade>;
+    orderBook(depth?: number, ccy1?: CEXIO.PairLike, ccy2?: string): Promise<CEXIO.OrderBook<N>>;
+
+    // Private API
+    balance(): Promise<CEXIO.Balance<N>>;
+    getMyFee(): Promise<{ [pair: string]: CEXIO.Fee<N> }>;
+    getAddress(currency: string): Promise<CEXIO.DepositAddress>;
+    openOrders(ccy1?: CEXIO.PairLike, ccy2?: string): Promise<Array<CEXIO.OpenOrder<N>>>;
+    activeOrdersStatus(orderList: string[]): Promise<Array<[string, N, N]>>;
+    placeOrder(order: CEXIO.PlaceOrderOptions): Promise<CEXIO.PlacedOrder<N>>;
+    cancelReplaceOrder(id: string, order: CEXIO.ReplaceOrderOptions): Promise<CEXIO.PlacedOrder<N>>;
+    cancelOrder(id: string): Promise<true>;
+    cancelAllOrders(ccy1?: CEXIO.PairLike, ccy2?: string): Promise<string[]>;
+    getOrder(id: string): Promise<CEXIO.OrderDetails<N>>;
+    getOrderTransactions(id: string): Promise<CEXIO.OrderTransactions<N>>;
+    archivedOrders(options?: CEXIO.ArchivedOrdersOptions): Promise<Array<CEXIO.OrderDetails<N>>>;
+    archivedOrdersIterator(options?: CEXIO.ArchivedOrdersIteratorOptions): AsyncIterableIterator<CEXIO.OrderDetails<N>>;
+
+    // Margin trading
+    openPosition(options: CEXIO.OpenPositionOptions): Promise<CEXIO.Position<N>>;
+    getPosition(id: string): Promise<CEXIO.Position<N>>;
+    openPositions(ccy1?: CEXIO.PairLike, ccy2?: string): Promise<Array<CEXIO.RawPosition<N>>>;
+    closePosition(id: string, ccy1?: CEXIO.PairLike, ccy2?: string): Promise<CEXIO.ClosedPosition<N>>;
+    archivedPositions(options?: CEXIO.ArchivedPositionsOptions): Promise<Array<CEXIO.RawPosition<N>>>;
+    getMarginalFee(ccy1?: CEXIO.PairLike, ccy2?: string): Promise<{ [leverage: string]: { [field: string]: N | string } }>;
+}
+
+declare namespace CEXIO {
+    type Amount = number | string | { toFixed(dp?: number): string };
+    type DateLike = Date | number | string;
+    type OrderType = 'buy' | 'sell';
+    type PositionType = 'long' | 'short';
+    type RetryPolicy = 'safe' | 'unsent' | 'never';
+    type Priority = 'high' | 'normal' | 'low';
+    /** 'BTC/USD', 'BTC:USD' or { base, quote } */
+    type PairLike = string | Pair | { base: string; quote: string };
+
+    class Pair {
+        constructor(base: string, quote: string);
+        static from(value: PairLike): Pair;
+        readonly base: string;
+        readonly quote: string;
+        /** 'BTC:USD' */
+        readonly key: string;
+        toString(): string;
+        toJSON(): string;
+    }
+
+    /** client.pair('BTC/EUR'): each call first checks the pair against market info */
+    interface PairView<N = number> {
+        client: CEXIO<N>;
+        pair: Pair;
+        market(): Promise<MarketPair>;
+        ticker(): Promise<Ticker<N>>;
+        lastPrice(): Promise<N>;
+        convert(amount: Amount): Promise<N>;
+        priceStats(lastHours?: number, maxItems?: number): Promise<Array<{ tmsp: string; price: N }>>;
+        ohlcv(day: string | number): Promise<{ time: number; data1m: number[][] }>;
+        ohlcv(range: OHLCVRange | Date): Promise<Array<Candle<N>>>;
+        tradeHistory(options?: TradeHistoryOptions): Promise<Trade[]>;
+        tradeHistoryIterator(options?: TradeHistoryOptions): AsyncIterableIterator<Trade>;
+        orderBook(depth?: number): Promise<OrderBook<N>>;
+        openOrders(): Promise<Array<OpenOrder<N>>>;
+        placeOrder(order: PlaceOrderOptions): Promise<PlacedOrder<N>>;
+        cancelReplaceOrder(id: string, order: ReplaceOrderOptions): Promise<PlacedOrder<N>>;
+        cancelAllOrders(): Promise<string[]>;
+        archivedOrders(options?: ArchivedOrdersOptions): Promise<Array<OrderDetails<N>>>;
+        archivedOrdersIterator(options?: ArchivedOrdersIteratorOptions): AsyncIterableIterator<OrderDetails<N>>;
+        openPosition(options: OpenPositionOptions): Promise<Position<N>>;
+        openPositions(): Promise<Array<RawPosition<N>>>;
+        closePosition(id: string): Promise<ClosedPosition<N>>;
+        archivedPositions(options?: ArchivedPositionsOptions): Promise<Array<RawPosition<N>>>;
+        getMarginalFee(): Promise<{ [leverage: string]: { [field: string]: N | string } }>;
+    }
+
+    interface Options<N = number> {
+        /** reads CEXIO_<ACCOUNT>_CLIENT_ID, CEXIO_<ACCOUNT>_KEY, ... instead of CEXIO_CLIENT_ID, ... */
+        account?: string;
+        pair?: PairLike;
+        ccy1?: string;
+        ccy2?: string;
+        clientId?: string;
+        key?: string;
+        secret?: string;
+        /** used instead of clientId, key and secret; loaded when first needed */
+        credentials?: CredentialsOption;
+        retryOptions?: RetryOptions;
+        /** false turns rate limiting off */
+        rateLimit?: RateLimitOptions | false;
+        nonceStore?: NonceStore;
+        marketInfo?: { ttl?: number };
+        numbers?: 'float' | 'string' | 'decimal';
+        decimal?: (value: string) => N;
+        /** fields passed through exactly as CEX.io sent them */
+        rawFields?: string[];
+        /** options for the built-in transport, used unless a req is given */
+        transport?: TransportOptions;
+        middleware?: Middleware[];
+        /** true for the default ttls; off by default */
+        cache?: CacheOptions | boolean;
+    }
+
+    interface CacheOptions {
+        /** milliseconds by endpoint name; 0 shares requests in flight but keeps nothing */
+        ttls?: { [endpoint: string]: number };
+        defaultTtl?: number;
+    }
+
+    interface CacheStats {
+        size: number;
+        hits: number;
+        misses: number;
+        coalesced: number;
+    }
+
+    class ResponseCache {
+        constructor(options?: CacheOptions);
+        ttl(endpoint: string): number;
+        get<T>(endpoint: string, qs: { [param: string]: unknown } | undefined, load: () => Promise<T>, options?: { join?: boolean }): Promise<T>;
+        invalidate(endpoint?: string): void;
+        stats(): CacheStats;
+    }
+
+    /** The part of an AbortSignal the client uses */
+    interface AbortSignal {
+        readonly aborted: boolean;
+        addEventListener(type: 'abort', listener: () => void): void;
+        removeEventListener(type: 'abort', listener: () => void): void;
+    }
+
+    interface CallOptions {
+        signal?: AbortSignal;
+        /** milliseconds */
+        timeout?: number;
+    }
+
+    interface RequestOptions extends CallOptions {
+        baseUrl?: string;
+        url: string;
+        method?: string;
+        qs?: { [param: string]: unknown };
+        body?: string;
+        headers?: { [header: string]: string | number };
+        json?: boolean;
+    }
+
+    /** Sends a request and resolves with the parsed JSON body, like request-promise */
+    type Req = (options: RequestOptions) => Promise<any>;
+
+    interface TransportOptions {
+        /** milliseconds for the whole request; 30000 by default */
+        timeout?: number;
+        keepAlive?: boolean;
+        maxSockets?: number;
+        /** an HTTP proxy URL; HTTPS_PROXY by default */
+        proxy?: string | null;
+    }
+
+    interface MiddlewareContext {
+        account?: string;
+        /** e.g. 'ticker/BTC/USD' */
+        endpoint: string;
+        /** e.g. 'ticker' */
+        name: string;
+        bucket: 'public' | 'private';
+        /** 1 for the first attempt, 2 for the first retry, ... */
+        attempt: number;
+        /** with key, signature and secret redacted */
+        params?: { [param: string]: unknown };
+        /** may be changed by beforeRequest */
+        request: RequestOptions;
+        /** may be replaced by afterResponse */
+        response?: any;
+        error?: Error;
+        /** milliseconds */
+        duration?: number;
+    }
+
+    interface Middleware {
+        beforeRequest?(ctx: MiddlewareContext): void | Promise<void>;
+        afterResponse?(ctx: MiddlewareContext): void | Promise<void>;
+        onError?(ctx: MiddlewareContext): void | Promise<void>;
+    }
+
+    interface LogEntry {
+        event: 'request' | 'response' | 'error';
+        account?: string;
+        endpoint: string;
+        attempt: number;
+        method?: string;
+        params?: { [param: string]: unknown };
+        duration?: number;
+        error?: string;
+        message?: string;
+        status?: number;
+        code?: string;
+    }
+
+    function requestLogger(options?: { log?: (entry: LogEntry) => void }): Middleware;
+
+    interface EndpointMetrics {
+        ok: number;
+        error: number;
+        /** by error class name */
+        errors: { [error: string]: number };
+        /** milliseconds */
+        latency: { count: number; mean: number | null; min: number | null; max: number | null };
+    }
+
+    class Metrics implements Middleware {
+        /** buckets are in seconds */
+        constructor(options?: { prefix?: string; buckets?: number[] });
+        afterResponse(ctx: MiddlewareContext): void;
+        onError(ctx: MiddlewareContext): void;
+        snapshot(): { [name: string]: EndpointMetrics };
+        toPrometheus(): string;
+        reset(): void;
+    }
+
+    interface ApiCredentials {
+        clientId: string;
+        key: string;
+        secret: string;
+        /** a Date or millisecond timestamp after which the provider is asked again */
+        expires?: Date | number;
+    }
+
+    interface CredentialProvider {
+        get(): Promise<ApiCredentials>;
+    }
+
+    type CredentialsOption = ApiCredentials | CredentialProvider | (() => ApiCredentials | Promise<ApiCredentials>);
+
+    class StaticCredentials implements CredentialProvider {
+        constructor(credentials: ApiCredentials);
+        get(): Promise<ApiCredentials>;
+    }
+
+    /** CEXIO_CLIENT_ID, ... or CEXIO_<ACCOUNT>_CLIENT_ID, ..., read on every load */
+    class EnvCredentials implements CredentialProvider {
+        constructor(account?: string, env?: { [name: string]: string | undefined });
+        get(): Promise<ApiCredentials>;
+    }
+
+    /** a JSON file of credentials, or with account, of credentials by account name */
+    class FileCredentials implements CredentialProvider {
+        constructor(file: string, options?: { account?: string });
+        get(): Promise<ApiCredentials>;
+    }
+
+    class FunctionCredentials implements CredentialProvider {
+        constructor(fn: () => ApiCredentials | Promise<ApiCredentials>);
+        get(): Promise<ApiCredentials>;
+    }
+
+    interface PoolOptions<N = number> {
+        /** options shared by every account's client; nonceStore is not allowed */
+        defaults?: Options<N>;
+        createClient?: (options: Options<N>) => CEXIO<N>;
+        /** parses balance totals; by default follows numbers, decimal and rawFields in defaults */
+        parse?: (value: any) => any;
+    }
+
+    /** Named accounts, each with its own client */
+    class CEXIOPool<N = number> {
+        constructor(accounts?: { [name: string]: Options<N> }, options?: PoolOptions<N>);
+        /** accounts named in `names` or CEXIO_ACCOUNTS, with credentials from CEXIO_<ACCOUNT>_* */
+        static fromEnv<N = number>(options?: PoolOptions<N> & { names?: string[]; env?: { [name: string]: string | undefined } }): CEXIOPool<N>;
+        readonly size: number;
+        add(name: string, options?: Options<N>): CEXIO<N>;
+        remove(name: string): boolean;
+        account(name: string): CEXIO<N>;
+        names(): string[];
+        /** rejects with the failing account's name as err.account */
+        map<T>(fn: (client: CEXIO<N>, name: string) => T | Promise<T>): Promise<{ [name: string]: T }>;
+        balance(): Promise<{ accounts: { [name: string]: Balance<N> }; total: { [currency: string]: CurrencyBalance<N> } }>;
+    }
+
+    class HttpsTransport {
+        constructor(options?: TransportOptions);
+        timeout: number;
+        req: Req;
+        /** closes any connections being kept alive */
+        destroy(): void;
+    }
+
+    interface RetryOptions {
+        retries?: number;
+        factor?: number;
+        minTimeout?: number;
+        maxTimeout?: number;
+        rateLimitTimeout?: number;
+        policies?: { [endpoint: string]: RetryPolicy };
+        onRetry?: (err: Error, info: { attempt: number; delay: number; endpoint: string }) => void;
+    }
+
+    interface RateLimitOptions {
+        /** requests per minute */
+        public?: number;
+        private?: number;
+        burst?: number;
+        priorities?: { [endpoint: string]: Priority };
+    }
+
+    interface BucketStats {
+        tokens: number;
+        queued: number;
+        lanes: { high: number; normal: number; low: number };
+    }
+
+    interface QueueStats {
+        public: BucketStats;
+        private: BucketStats;
+    }
+
+    // Responses
+
+    interface CurrencyLimits<N = number> {
+        pairs: Array<{
+            symbol1: string;
+            symbol2: string;
+            minLotSize: N;
+            minLotSizeS2: N;
+            maxLotSize: N | null;
+            minPrice: N;
+            maxPrice: N;
+        }>;
+    }
+
+    interface CurrencyProfile<N = number> {
+        symbols: Array<{ code: string; contract: boolean; commoditySymbol: string; fiat: boolean; description: string; precision: N; scale: N; minimumCurrencyAmount: N; minimalWithdrawalAmount: N }>;
+        pairs: Array<{ symbol1: string; symbol2: string; pricePrecision: N; priceScale: string; minLotSize: N; minLotSizeS2: N }>;
+        [field: string]: unknown;
+    }
+
+    interface Ticker<N = number> {
+        timestamp: string;
+        pair?: string;
+        low: N;
+        high: N;
+        last: N;
+        volume: N;
+        volume30d: N;
+        bid: N;
+        ask: N;
+        priceChange?: N;
+        priceChangePercentage?: N;
+    }
+
+    interface OrderBook<N = number> {
+        timestamp: number;
+        pair: string;
+        id: number;
+        bids: Array<[N, N]>;
+        asks: Array<[N, N]>;
+        sell_total: N;
+        buy_total: N;
+    }
+
+    interface Candle<N = number> {
+        time: number;
+        open: N;
+        high: N;
+        low: N;
+        close: N;
+        volume: N;
+    }
+
+    interface OHLCVRange {
+        from: DateLike;
+        to?: DateLike;
+        resolution?: '1m' | '1h' | '1d';
+        pair?: PairLike;
+        ccy1?: string;
+        ccy2?: string;
+    }
+
+    interface TradeHistoryOptions {
+        since?: number | string;
+        pair?: PairLike;
+        ccy1?: string;
+        ccy2?: string;
+    }
+
+    /** Public trades are returned exactly as CEX.io sends them */
+    interface Trade {
+        type: OrderType;
+        date: string;
+        amount: string;
+        price: string;
+        tid: string;
+    }
+
+    interface CurrencyBalance<N = number> {
+        available: N;
+        orders: N;
+    }
+
+    type Balance<N = number> = { timestamp: string; username: string } & { [currency: string]: CurrencyBalance<N> };
+
+    interface Fee<N = number> {
+        buy: N;
+        sell: N;
+        buyMaker: N;
+        sellMaker: N;
+    }
+
+    interface DepositAddress {
+        currency: string;
+        /** the first (default) address */
+        address: string;
+        destination?: string;
+        addresses: Array<{ address: string; destination?: string; network?: string }>;
+    }
+
+    interface PlaceOrderOptions {
+        type: OrderType;
+        /** in the counter currency for market buys */
+        amount: Amount;
+        /** required for limit orders */
+        price?: Amount;
+        orderType?: 'limit' | 'market';
+        pair?: PairLike;
+        ccy1?: string;
+        ccy2?: string;
+    }
+
+    interface ReplaceOrderOptions {
+        type: OrderType;
+        amount: Amount;
+        price: Amount;
+        pair?: PairLike;
+        ccy1?: string;
+        ccy2?: string;
+    }
+
+    interface PlacedOrder<N = number> {
+        id: string;
+        time: number;
+        complete: boolean;
+        pending: N;
+        amount: N;
+        type: OrderType;
+        price: N;
+    }
+
+    interface OpenOrder<N = number> {
+        id: string;
+        time: string;
+        type: OrderType;
+        price: N;
+        amount: N;
+        pending: N;
+        symbol1?: string;
+        symbol2?: string;
+    }
+
+    interface OrderDetails<N = number> {
+        id: string;
+        type: OrderType;
+        time: number | string;
+        user: string;
+        /** 'a' active, 'd' done, 'c' cancelled, 'cd' cancelled after a partial fill */
+        status: 'a' | 'd' | 'c' | 'cd';
+        symbol1: string;
+        symbol2: string;
+        amount: N;
+        price?: N;
+        remains: N;
+        /** e.g. 'ta:USD', 'tta:USD', 'fa:USD' */
+        [field: string]: unknown;
+    }
+
+    interface OrderTransactions<N = number> {
+        id: string;
+        type: OrderType;
+        time: string;
+        status: string;
+        symbol1: string;
+        symbol2: string;
+        amount: N;
+        price: N;
+        remains: N;
+        vtx: Array<{ id: string; type: string; time: string; amount: N; price?: N; [field: string]: unknown }>;
+        [field: string]: unknown;
+    }
+
+    interface ArchivedOrdersOptions {
+        pair?: PairLike;
+        ccy1?: string;
+        ccy2?: string;
+        dateFrom?: DateLike;
+        dateTo?: DateLike;
+        lastTxDateFrom?: DateLike;
+        lastTxDateTo?: DateLike;
+        limit?: number;
+        status?: string;
+    }
+
+    interface ArchivedOrdersIteratorOptions extends ArchivedOrdersOptions {
+        /** seconds */
+        window?: number;
+    }
+
+    interface OpenPositionOptions {
+        pair?: PairLike;
+        ccy1?: string;
+        ccy2?: string;
+        amount: Amount;
+        /** required: the estimated opening price */
+        eoprice: Amount;
+        symbol?: string;
+        msymbol?: string;
+        ptype?: PositionType;
+        anySlippage?: boolean;
+        /** a whole number of at least 2 */
+        leverage?: number;
+        stopLossPrice?: Amount;
+    }
+
+    interface ArchivedPositionsOptions {
+        pair?: PairLike;
+        ccy1?: string;
+        ccy2?: string;
+        dateFrom?: DateLike;
+        dateTo?: DateLike;
+    }
+
+    interface RawPosition<N = number> {
+        id: string | number;
+        otime: number;
+        ptype: PositionType;
+        pair: string | { symbol1: string; symbol2: string };
+        oprice: N;
+        stopLossPrice?: N;
+        amount?: N;
+        pamount?: N;
+        leverage?: N;
+        psymbol?: string;
+        msymbol?: string;
+        lsymbol?: string;
+        status?: string;
+        [field: string]: unknown;
+    }
+
+    /** A margin position, whichever endpoint it came from, with its PnL at the last price */
+    interface Position<N = number> {
+        id: string | number;
+        pair: string;
+        symbol1: string;
+        symbol2: string;
+        ptype: PositionType;
+        amount: N;
+        openPrice: N;
+        stopLossPrice?: N;
+        leverage?: N;
+        openTime: number;
+        status?: string;
+        /** null if the last price could not be fetched */
+        lastPrice: N | null;
+        /** unrealised, in the quote currency, before fees */
+        pnl: N | null;
+        raw: RawPosition<N>;
+    }
+
+    interface ClosedPosition<N = number> {
+        id: string | number;
+        ctime: number;
+        ptype: PositionType;
+        msymbol: string;
+        pair: { symbol1: string; symbol2: string };
+        price: N;
+        profit: N;
+    }
+
+    interface MarketPair {
+        symbol1: string;
+        symbol2: string;
+        minLotSize: number;
+        minLotSizeS2: number;
+        maxLotSize?: number;
+        minPrice?: number;
+        maxPrice?: number;
+        pricePrecision: number;
+        amountPrecision: number;
+        counterPrecision: number;
+    }
+
+    // Errors
+
+    interface ErrorContext {
+        endpoint?: string;
+        params?: { [param: string]: unknown };
+        status?: number;
+        data?: unknown;
+    }
+
+    class CexioApiError extends Error {
+        constructor(message: string, context?: ErrorContext);
+        endpoint?: string;
+        /** with key, signature and secret redacted */
+        params?: { [param: string]: unknown };
+        status?: number;
+        data?: unknown;
+    }
+    class AuthenticationError extends CexioApiError {}
+    class NonceError extends CexioApiError {}
+    class InsufficientFundsError extends CexioApiError {}
+    class RateLimitError extends CexioApiError {}
+    class InvalidOrderError extends CexioApiError {}
+    class NetworkError extends CexioApiError {
+        code?: string;
+        cause?: Error;
+    }
+
+    class AbortError extends CexioApiError {
+        code: 'ABORT_ERR';
+    }
+
+    // Nonces
+
+    interface NonceStore {
+        next(): Promise<number>;
+    }
+
+    class MemoryNonceStore implements NonceStore {
+        next(): Promise<number>;
+    }
+
+    class FileNonceStore implements NonceStore {
+        constructor(file: string, options?: { lockTimeout?: number; staleTimeout?: number; retryInterval?: number });
+        next(): Promise<number>;
+    }
+
+    // Helpers reached through a client
+
+    class RateLimiter {
+        constructor(options?: RateLimitOptions);
+        priority(endpoint: string): Priority;
+        take(bucket: 'public' | 'private', endpoint: string): Promise<void>;
+        stats(): QueueStats;
+    }
+
+    class MarketInfo {
+        constructor(client: CEXIO<any>, options?: { ttl?: number });
+        all(): Promise<{ [pair: string]: MarketPair }>;
+        refresh(): Promise<{ [pair: string]: MarketPair }>;
+        invalidate(): void;
+        pair(ccy1: string, ccy2: string): Promise<MarketPair>;
+        /** throws an InvalidOrderError for a pair missing from market info that is already cached */
+        check(ccy1: string, ccy2: string): void;
+    }
+
+    // WebSocket API
+
+    interface StreamOptions<N = number> {
+        /** reads CEXIO_<ACCOUNT>_KEY and CEXIO_<ACCOUNT>_SECRET instead of CEXIO_KEY and CEXIO_SECRET */
+        account?: string;
+        clientId?: string;
+        key?: string;
+        secret?: string;
+        /** used instead of key and secret; loaded each time the stream authenticates, if not still loaded */
+        credentials?: CredentialsOption;
+        url?: string;
+        reconnect?: boolean;
+        reconnectDelay?: number;
+        maxReconnectDelay?: number;
+        heartbeatTimeout?: number;
+        /** milliseconds request() waits for a reply before rejecting with a NetworkError */
+        replyTimeout?: number;
+        numbers?: 'float' | 'string' | 'decimal';
+        decimal?: (value: string) => N;
+        rawFields?: string[];
+    }
+
+    class CEXIOStream<N = number> extends EventEmitter {
+        constructor(options?: StreamOptions<N>, WebSocket?: any);
+        account?: string;
+        authenticated: boolean;
+        /** used the next time the stream authenticates */
+        rotateCredentials(credentials?: CredentialsOption): this;
+        connect(): Promise<void>;
+        close(): void;
+        send(message: { e: string; [field: string]: unknown }): void;
+        request(e: string, data?: object): Promise<any>;
+        subscribeTickers(): Promise<void>;
+        subscribeOrderBook(ccy1: string, ccy2: string, depth?: number): Promise<any>;
+        unsubscribeOrderBook(ccy1: string, ccy2: string): Promise<any>;
+        subscribeOHLCV(ccy1: string, ccy2: string, interval?: string): Promise<void>;
+
+        on(event: 'ready' | 'authenticated', listener: () => void): this;
+        on(event: 'disconnected', listener: (info: { code: number; reason: string }) => void): this;
+        on(event: 'reconnecting', listener: (info: { attempt: number; delay: number }) => void): this;
+        on(event: 'error', listener: (err: Error) => void): this;
+        on(event: 'message', listener: (message: any) => void): this;
+        on(event: string, listener: (data: any, message: any) => void): this;
+    }
+
+    interface Level {
+        price: number;
+        amount: number;
+    }
+
+    class LiveOrderBook extends EventEmitter {
+        constructor(options: {
+            client: CEXIO<any>;
+            stream: CEXIOStream<any>;
+            pair?: PairLike;
+            ccy1?: string;
+            ccy2?: string;
+            depth?: number;
+            maxResyncAttempts?: number;
+            resyncDelay?: number;
+            /** the longest wait before retrying after a failed resync */
+            maxResyncDelay?: number;
+            /** diffs held while the book is not synced */
+            maxBuffer?: number;
+        });
+        pair: string;
+        synced: boolean;
+        start(): Promise<void>;
+        stop(): Promise<void>;
+        resync(): Promise<void>;
+        levels(side: 'bids' | 'asks'): Array<[number, number]>;
+        bestBid(): Level | null;
+        bestAsk(): Level | null;
+        spread(): number | null;
+        /** null while the book is not synced, like the other accessors */
+        depthAt(price: number): { bids: number; asks: number } | null;
+        vwapFor(amount: number, side: OrderType): number | null;
+
+        on(event: 'synced', listener: (id: number) => void): this;
+        on(event: 'resync', listener: () => void): this;
+        /** a resync failed; another is tried when the next diff arrives */
+        on(event: 'stale', listener: (err: Error) => void): this;
+        on(event: 'update', listener: (diff: any) => void): this;
+        on(event: 'error', listener: (err: Error) => void): this;
+    }
+
+    // Order tracking
+
+    interface TrackedOrder {
+        id: string;
+        status: 'active' | 'filled' | 'cancelled';
+        amount: number;
+        remains: number;
+        filled: number;
+        averagePrice: number | null;
+        order: OrderDetails<any>;
+    }
+
+    class OrderTracker extends EventEmitter {
+        constructor(options: { client: CEXIO<any>; stream?: CEXIOStream<any>; interval?: number });
+        track(id: string | number): this;
+        untrack(id: string | number): this;
+        stop(): void;
+        poll(): Promise<void>;
+        awaitOrder(id: string | number, options?: { timeout?: number }): Promise<TrackedOrder>;
+
+        on(event: 'partialFill' | 'filled' | 'cancelled', listener: (order: TrackedOrder) => void): this;
+        /** get_order rejected the order for good, e.g. 'Order not found'; it is no longer tracked */
+        on(event: 'failed', listener: (failure: { id: string; error: CexioApiError }) => void): this;
+        on(event: 'error', listener: (err: Error) => void): this;
+    }
+
+    // Paper trading
+
+    interface OrderBookSnapshot {
+        id?: number;
+        bids: Array<[number | string, number | string]>;
+        asks: Array<[number | string, number | string]>;
+        [field: string]: unknown;
+    }
+
+    interface SimulationOptions {
+        balances?: { [currency: string]: number | string };
+        /** percent */
+        fees?: { maker?: number; taker?: number };
+        /** keyed by pair ('BTC:USD'), or a function of the pair */
+        orderBooks?: { [pair: string]: OrderBookSnapshot } | ((ccy1: string, ccy2: string) => OrderBookSnapshot | undefined);
+    }
+
+    class SimulatedExchange {
+        constructor(options?: SimulationOptions & { req?: Req });
+        req: Req;
+        setOrderBook(ccy1: string, ccy2: string, snapshot: OrderBookSnapshot): void;
+        match(): Promise<void>;
+    }
+
+    class SimulatedCEXIO<N = number> extends CEXIO<N> {
+        constructor(options?: Options<N> & SimulationOptions, req?: Req);
+        exchange: SimulatedExchange;
+    }
+
+    // Recording
+
+    class Cassette {
+        constructor(file: string, options?: { mode?: 'record' | 'replay'; req?: Req });
+        mode: 'record' | 'replay';
+        req: Req;
+        save(): Promise<void>;
+    }
+}
+
+export = CEXIO;
@@ -1,12 +1,27 @@
 'use strict';
 const _ = require('lodash');
-const request = require('request-promise');
-const retry = require('p-retry');
-const crypto = require('crypto');
 const debug = require('debug');
 const d = debug('cexio');
-const sprintf = require('qprintf').sprintf;
 const querystring = require('querystring');
+const { createParser, maxDpStr, defaultRawFields } = require('./lib/numbers');
+const errors = require('./lib/errors');
+const { CexioApiError, InvalidOrderError, AuthenticationError, AbortError, checkResponse, fromRequestError, unexpectedResponse, redact } = errors;
+const { defaultRetryOptions, withRetry } = require('./lib/retry');
+const { RateLimiter } = require('./lib/rate-limiter');
+const { MemoryNonceStore, FileNonceStore } = require('./lib/nonce');
+const { CEXIOStream } = require('./lib/stream');
+const { LiveOrderBook } = require('./lib/live-order-book');
+const { OrderTracker } = require('./lib/order-tracker');
+const { SimulatedExchange } = require('./lib/simulator');
+const { Cassette } = require('./lib/cassette');
+const { MarketInfo, validateOrder } = require('./lib/market-info');
+const { normalizePosition, positionPair } = require('./lib/position');
+const { Pair, PairView, isPairLike, resolvePair } = require('./lib/pair');
+const { HttpsTransport } = require('./lib/transport');
+const { Metrics, requestLogger, runHooks, checkMiddleware, endpointName } = require('./lib/middleware');
+const { ResponseCache } = require('./lib/cache');
+const { AccountPool, accountEnv } = require('./lib/pool');
+const { Credentials, StaticCredentials, EnvCredentials, FileCredentials, FunctionCredentials } = require('./lib/credentials');
 
 const defaultReqOptions = {
     baseUrl: 'https://cex.io/api/',
@@ -17,54 +32,187 @@ const defaultReqOptions = {
     json: true
 };
 
-const defaultRetryOptions = {
-    retries: 10,
-    factor: 2,
-    minTimeout: 500,
-    maxTimeout: 10000
-};
-
 class CEXIO {
 
-    constructor({ ccy1, ccy2, clientId, key, secret, retryOptions = {} } = {}, req) {
-        this.clientId = clientId || process.env.CEXIO_CLIENT_ID;
-        this.key      = key      || process.env.CEXIO_KEY;
-        this.secret   = secret   || process.env.CEXIO_SECRET;
-        this.ccy1     = ccy1     || process.env.CEXIO_CCY_1;
-        this.ccy2     = ccy2     || process.env.CEXIO_CCY_2;
+    constructor({
+        account,
+        pair,
+        ccy1,
+        ccy2,
+        clientId,
+        key,
+        secret,
+        credentials,
+        retryOptions = {},
+        rateLimit = {},
+        nonceStore = new MemoryNonceStore(),
+        marketInfo = {},
+        numbers = 'float',
+        decimal,
+        rawFields = defaultRawFields,
+        transport = {},
+        middleware = [],
+        cache = false
+    } = {}, req) {
+        // an account reads CEXIO_<ACCOUNT>_KEY and so on instead
+        const env = accountEnv(account);
+
+        this.account  = account;
+        this.ccy1     = ccy1     || env.ccy1;
+        this.ccy2     = ccy2     || env.ccy2;
+
+        // loaded when the first private call needs them (see lib/credentials.js)
+        this.credentials = new Credentials(credentials || new StaticCredentials({
+            clientId: clientId || env.clientId,
+            key: key || env.key,
+            secret: secret || env.secret
+        }));
+
+        if (pair) {
+            ({ base: this.ccy1, quote: this.ccy2 } = Pair.from(pair));
+        }
+
+        this.retryOptions = Object.assign({}, defaultRetryOptions, retryOptions);
+        this.req = req || new HttpsTransport(transport).req;
+        this.requestOptions = {};
+        this.middleware = middleware.map(checkMiddleware);
+        this.limiter = rateLimit ? new RateLimiter(rateLimit) : null;
+        this.cache = cache ? new ResponseCache(cache === true ? {} : cache) : null;
+        this.nonceStore = nonceStore;
+        this.marketInfo = new MarketInfo(this, marketInfo);
+
+        this._parse = createParser({ numbers, decimal, rawFields });
+    }
 
-        const retryParams = Object.assign({}, defaultRetryOptions, retryOptions);
-        this.req = req || (params => retry(() => request(params), retryParams));
+    // Every request goes through here so that failures are reported, throttled and
+    // retried consistently. `build` is called for each attempt once a rate limit
+    // token has been taken, so private calls are signed in the order they are sent
+    // and are signed afresh with a new nonce when retried. Each attempt that is
+    // sent passes through the middleware.
+    _request (url, bucket, build) {
+        const { signal, timeout } = this.requestOptions;
+
+        return withRetry(async attempt => {
+            if (this.limiter) {
+                await this.limiter.take(bucket, url, signal);
+            }
+
+            const { requestParams, params, credentials } = await build();
+            const context = { endpoint: url, params };
+            const ctx = {
+                account: this.account,
+                endpoint: url,
+                name: endpointName(url),
+                bucket,
+                attempt,
+                params: redact(params),
+                request: _.omitBy(Object.assign({}, requestParams, { signal, timeout }), _.isUndefined)
+            };
+            d('%s %s %j', ctx.request.method || 'GET', url, ctx.params);
+
+            // signing may have given the signal time to fire
+            if (signal && signal.aborted) {
+                throw new AbortError(undefined, context);
+            }
+
+            await runHooks(this.middleware, 'beforeRequest', ctx);
+
+            const started = process.hrtime();
+            try {
+                let res;
+                try {
+                    res = await this.req(ctx.request);
+                } finally {
+                    ctx.duration = elapsed(started);
+                }
+                ctx.response = checkResponse(res, context);
+            } catch (e) {
+                ctx.error = fromRequestError(e, context);
+                if (credentials) {
+                    concealCredentials(ctx.error, credentials);
+                    // rejected credentials are loaded again by the next call, so a
+                    // provider that has rotated them is picked up
+                    if (ctx.error instanceof AuthenticationError) {
+                        this.credentials.drop(credentials);
+                    }
+                }
+                await runHooks(this.middleware, 'onError', ctx);
+                throw ctx.error;
+            }
+
+            await runHooks(this.middleware, 'afterResponse', ctx);
+            return ctx.response;
+        }, url, this.retryOptions, signal);
     }
 
+    // Adds middleware (see lib/middleware.js) to every request this client sends
+    use (middleware) {
+        this.middleware.push(checkMiddleware(middleware));
+        return this;
+    }
+
+    // The same client, with every request it sends given an AbortSignal and/or a
+    // timeout in milliseconds: await cexio.withOptions({ signal }).balance()
+    withOptions ({ signal, timeout } = {}) {
+        return Object.create(this, {
+            requestOptions: { value: Object.assign({}, this.requestOptions, _.omitBy({ signal, timeout }, _.isUndefined)) }
+        });
+    }
+
+    // Calls made with a signal don't join a request already in flight, since
+    // aborting it would fail everyone waiting on it
     async _get (url, qs) {
-        const requestParams = Object.assign({}, defaultReqOptions, { qs, url });
-        d(requestParams);
+        const send = () => this._request(url, 'public', () => ({
+            requestParams: Object.assign({}, defaultReqOptions, { qs, url }),
+            params: qs
+        }));
+
+        const res = await (this.cache
+            ? this.cache.get(url, qs, send, { join: !this.requestOptions.signal })
+            : send());
 
-        const res = await this.req(_.omitBy(requestParams, _.isUndefined));
-        if (!res || (res.ok && res.ok !== 'ok')) { throw new Error('result not ok'); }
-        return parseObjectStrings(res.data ? res.data : res);
+        return this._parse(res.data ? res.data : res);
     }
 
-    _getPair (url, qs, ccy1 = this.ccy1, ccy2 = this.ccy2) {
-        return this._get([url, ccy1, ccy2].join('/'), qs);
+    // Depth of the rate limiter queues, per bucket and priority lane
+    queueStats () {
+        return this.limiter ? this.limiter.stats() : null;
     }
 
-    _post (url, body) {
-        const requestParams = Object.assign({}, defaultReqOptions, { body, url, method: 'POST' });
+    // Hits, misses and joined in-flight requests for the response cache
+    cacheStats () {
+        return this.cache ? this.cache.stats() : null;
+    }
+
+    // Drops cached responses for an endpoint name ('order_book'), one endpoint
+    // ('order_book/BTC/USD'), or with no argument, all of them
+    invalidateCache (endpoint) {
+        if (this.cache) {
+            this.cache.invalidate(endpoint);
+        }
+    }
 
-        requestParams.headers = Object.assign({},
-            requestParams.headers,
-            { 'Content-Length': body.length }
-        );
+    // ccy1 may be a whole pair ('BTC/USD' or { base, quote }), in which case ccy2 is
+    // left out. Once market info is cached, pairs CEX.io does not list are rejected.
+    _pair (ccy1, ccy2) {
+        const pair = resolvePair(ccy1, ccy2, this);
+        this.marketInfo.check(pair.base, pair.quote);
+        return pair;
+    }
 
-        d(requestParams);
+    // The pair-specific methods bound to one pair: client.pair('BTC/EUR').orderBook(10)
+    pair (pair) {
+        return new PairView(this, pair);
+    }
 
-        return this.req(_.omitBy(requestParams, _.isUndefined));
+    _getPair (url, qs, ccy1, ccy2) {
+        const { base, quote } = this._pair(ccy1, ccy2);
+        return this._get([url, base, quote].join('/'), qs);
     }
 
-    _postPair (url, body, ccy1 = this.ccy1, ccy2 = this.ccy2) {
-        return this._postAuth([url, ccy1, ccy2].join('/'), body);
+    _postPair (url, body, ccy1, ccy2) {
+        const { base, quote } = this._pair(ccy1, ccy2);
+        return this._postAuth([url, base, quote].join('/'), body);
     }
 
     // PUBLIC API
@@ -72,44 +220,149 @@ class CEXIO {
         return this._get('currency_limits');
     }
 
-    ticker() {
-        return this._getPair('ticker');
+    currencyProfile() {
+        return this._get('currency_profile');
+    }
+
+    ticker(ccy1, ccy2) {
+        return this._getPair('ticker', undefined, ccy1, ccy2);
+    }
+
+    // Tickers for every pair between the given currencies, keyed by pair ('BTC:USD')
+    async tickers(...currencies) {
+        const result = await this._get(`tickers/${ this._currencies(currencies).join('/') }`);
+
+        return _.keyBy(result, 'pair');
+    }
+
+    async lastPrices(...currencies) {
+        const result = await this._get(`last_prices/${ this._currencies(currencies).join('/') }`);
+
+        return _.fromPairs(result.map(({ symbol1, symbol2, lprice }) => [`${ symbol1 }:${ symbol2 }`, lprice]));
+    }
+
+    _currencies(currencies) {
+        return currencies.length ? currencies : [this.ccy1, this.ccy2];
     }
 
-    async lastPrice() {
-        const res = await this._getPair('last_price');
-        if (!res || !res.lprice) {
-            throw new Error('Unexpected response');
+    async lastPrice(ccy1, ccy2) {
+        const res = await this._getPair('last_price', undefined, ccy1, ccy2);
+        if (!res.lprice) {
+            throw unexpectedResponse('last_price', res);
         }
-        return parseFloat(res.lprice);
+        return res.lprice;
     }
 
     async convert(amnt, ccy1, ccy2) {
-        const res = await this._postPair('convert', { amnt: maxDpStr(amnt) }, ccy1, ccy2);
-        if (!res || !res.amnt) {
-            throw new Error('Unexpected response');
+        const { base, quote } = this._pair(ccy1, ccy2);
+        const info = await this.marketInfo.pair(base, quote);
+        const context = { endpoint: 'convert', params: { amnt, ccy1: base, ccy2: quote } };
+        const { amount } = validateOrder(info, { type: 'sell', amount: amnt }, context);
+
+        const res = await this._postPair('convert', { amnt: amount }, base, quote);
+        if (!res.amnt) {
+            throw unexpectedResponse('convert', res);
         }
-        return parseFloat(res.amnt);
+        return this._parse(res.amnt);
     }
 
     async priceStats(lastHours = 24, maxItems = 200, ccy1, ccy2) {
         const result = await this._postPair('price_stats', { lastHours, maxRespArrSize: maxItems }, ccy1, ccy2);
-        return parseObjectStrings(result);
+        return this._parse(result);
+    }
+
+    // ohlcv({ from, to, resolution, pair }) fetches every day in the range and
+    // returns its candles oldest first; a Date is the range from that moment.
+    // The older ohlcv('YYYYMMDD', ccy1, ccy2) form still returns that day's raw
+    // data1m rows.
+    async ohlcv(range, ccy1, ccy2) {
+        if (range instanceof Date) {
+            range = { from: range };
+        }
+
+        if (!_.isPlainObject(range)) {
+            const result = await this._ohlcvDay(range, ccy1, ccy2);
+
+            if (!result.data1m) {
+                throw unexpectedResponse('ohlcv', result);
+            }
+
+            return {
+                time: result.time,
+                data1m: JSON.parse(result.data1m)
+            };
+        }
+
+        const { from, to = from, resolution = '1m' } = range;
+        const field = ohlcvFields[resolution];
+
+        if (!field) {
+            throw new Error(`Invalid ohlcv resolution: ${ resolution }`);
+        }
+        if (from === undefined) {
+            throw new Error('ohlcv requires a from date');
+        }
+
+        const [start, end] = [dayRange(from)[0], dayRange(to)[1]];
+
+        if (Number.isNaN(start)) {
+            throw new Error(`Invalid ohlcv from date: ${ from }`);
+        }
+        if (Number.isNaN(end)) {
+            throw new Error(`Invalid ohlcv to date: ${ to }`);
+        }
+        if (end < start) {
+            throw new Error(`ohlcv range ends before it starts: ${ from } to ${ to }`);
+        }
+        const pair = range.pair ? Pair.from(range.pair) : this._pair(range.ccy1 || ccy1, range.ccy2 || ccy2);
+        const candles = new Map();
+
+        for (const day of daysBetween(start, end)) {
+            const result = await this._ohlcvDay(day, pair);
+            const rows = result[field] ? JSON.parse(result[field]) : [];
+
+            // daily and hourly data overlap from one day to the next
+            for (const [time, open, high, low, close, volume] of rows) {
+                if (time >= start && time <= end) {
+                    candles.set(time, { time, open, high, low, close, volume });
+                }
+            }
+        }
+
+        return _.sortBy(Array.from(candles.values()), 'time').map(candle => this._parse(candle));
+    }
+
+    _ohlcvDay(day, ccy1, ccy2) {
+        return this._getPair(`ohlcv/hd/${ day }`, undefined, ccy1, ccy2);
     }
 
-    async ohlcv(dateString, ccy1, ccy2) {
-        const result = await this._getPair(`ohlcv/hd/${ dateString }`, ccy1, ccy2);
+    async tradeHistory({ since, pair, ccy1, ccy2 } = {}) {
+        const result = await this._getPair('trade_history', { since }, pair || ccy1, ccy2);
 
-        if (!result) {
-            const err = new Error('Could not get open orders');
-            err.data = result;
-            throw err;
+        if (!Array.isArray(result)) {
+            throw unexpectedResponse('trade_history', result);
         }
 
-        return {
-            time: result.time,
-            data1m: JSON.parse(result.data1m)
-        };
+        return result;
+    }
+
+    // Walks forward through public trades from tid `since`, oldest first, until caught up
+    async *tradeHistoryIterator({ since = 1, pair, ccy1, ccy2 } = {}) {
+        let cursor = Number(since);
+
+        for (;;) {
+            const trades = _.sortBy(
+                (await this.tradeHistory({ since: cursor, pair, ccy1, ccy2 })).filter(trade => Number(trade.tid) >= cursor),
+                trade => Number(trade.tid)
+            );
+
+            if (!trades.length) {
+                return;
+            }
+
+            yield* trades;
+            cursor = Number(_.last(trades).tid) + 1;
+        }
     }
 
     orderBook(depth, ccy1, ccy2) {
@@ -121,90 +374,379 @@ class CEXIO {
         d(path);
         d(params);
 
-        const nonce = Date.now();
+        return this._request(path, 'private', async () => {
+            const credentials = await this.credentials.load();
+            const signed = await this._sign(params, credentials);
+
+            return {
+                requestParams: postRequestParams(path, querystring.stringify(signed)),
+                params: signed,
+                credentials
+            };
+        });
+    }
+
+    async _sign (params, { clientId, key, sign }) {
+        const nonce = await this.nonceStore.next();
 
-        params = Object.assign({ nonce, key: this.key }, params);
+        params = Object.assign({ nonce, key }, params);
+        params.signature = sign(nonce.toString() + clientId + key);
+        return params;
+    }
 
-        const message = nonce.toString() + this.clientId + this.key;
-        const hmac = crypto.createHmac('sha256', new Buffer(this.secret));
-        hmac.update(message);
+    // Loads the credentials now instead of on the first private call, resolving
+    // with { clientId, key }, so that a missing or unreadable secret fails fast
+    async loadCredentials () {
+        const { clientId, key } = await this.credentials.load();
+        return { clientId, key };
+    }
 
-        params.signature = hmac.digest('hex').toUpperCase();
-        return this._post(path, querystring.stringify(params));
+    // Switches to new credentials, given in any form the credentials option
+    // takes, or with none, asks the provider again on the next private call
+    rotateCredentials (credentials) {
+        this.credentials.rotate(credentials);
+        return this;
     }
 
-    _postAuthPair (path, params, ccy1 = this.ccy1, ccy2 = this.ccy2) {
-        return this._postAuth([path, ccy1, ccy2].join('/'), params);
+    _postAuthPair (path, params, ccy1, ccy2) {
+        const { base, quote } = this._pair(ccy1, ccy2);
+        return this._postAuth([path, base, quote].join('/'), params);
     }
 
     async balance() {
         const result = await this._postAuth('balance/');
 
-        if (!result) {
-            const err = new Error('Could not get open orders');
-            err.data = result;
-            throw err;
+        return this._parse(result);
+    }
+
+    // Trading fees in percent for each pair: { 'BTC:USD': { buy, sell, buyMaker, sellMaker }, ... }
+    async getMyFee() {
+        const result = await this._postAuth('get_myfee/');
+
+        if (!_.isPlainObject(result.data)) {
+            throw unexpectedResponse('get_myfee', result);
         }
 
-        return parseObjectStrings(result);
+        return this._parse(result.data);
     }
 
-    async openOrders(ccy1, ccy2) {
-        if (ccy1 && ccy2) {
-            return this._postAuthPair('open_orders', undefined, ccy1, ccy2);
+    // Deposit address for a currency. get_crypto_address lists every network the
+    // currency can be deposited over under `addresses`; `address` is the first
+    // (default) one. Currencies it turns away are asked for with get_address,
+    // which returns a single address. Addresses and destination tags are never
+    // parsed as numbers.
+    async getAddress(currency) {
+        if (!currency) {
+            throw new Error('getAddress() requires a currency');
+        }
+
+        let result;
+        try {
+            result = await this._postAuth('get_crypto_address/', { currency });
+        } catch (err) {
+            // only a plain error reply; authentication, network and server errors still throw
+            if (err.constructor !== CexioApiError || err.status >= 500) {
+                throw err;
+            }
+            d('get_crypto_address failed for %s, falling back to get_address: %s', currency, err.message);
+            return this._getSingleAddress(currency);
+        }
+
+        const addresses = result.data && Array.isArray(result.data.addresses)
+            ? result.data.addresses.map(({ blockchain, address, destination }) =>
+                Object.assign(parseAddress(address), _.omitBy({ network: blockchain, destination }, _.isUndefined)))
+            : [];
+
+        if (!addresses.length) {
+            throw unexpectedResponse('get_crypto_address', result);
         }
-        const result = await this._postAuth('open_orders');
 
-        if (!result) {
-            const err = new Error('Could not get open orders');
-            err.data = result;
-            throw err;
+        return Object.assign({ currency }, _.pick(addresses[0], ['address', 'destination']), { addresses });
+    }
+
+    async _getSingleAddress(currency) {
+        const result = await this._postAuth('get_address/', { currency });
+
+        if (typeof result.data !== 'string') {
+            throw unexpectedResponse('get_address', result);
         }
 
-        return parseObjectStrings(result);
+        const address = parseAddress(result.data);
+        return Object.assign({ currency }, address, { addresses: [address] });
+    }
+
+    async openOrders(ccy1, ccy2) {
+        const result = isPairLike(ccy1) || (ccy1 && ccy2)
+            ? await this._postAuthPair('open_orders', undefined, ccy1, ccy2)
+            : await this._postAuth('open_orders');
+
+        return this._parse(result);
     }
 
     async activeOrdersStatus(orderList) {
         const result = await this._postAuth('active_orders_status', { orders_list: orderList });
 
-        if (!result || result.ok !== 'ok') {
-            const err = new Error('Could not get active order statuses');
-            err.data = result;
-            throw err;
+        if (!Array.isArray(result.data)) {
+            throw unexpectedResponse('active_orders_status', result);
         }
 
-        return parseObjectStrings(result.data);
+        // rows are [ orderId, amount, remains ]
+        return result.data.map(([id, ...amounts]) => [id, ...this._parse(amounts)]);
     }
 
-    async openPositions(ccy1 = this.ccy1, ccy2 = this.ccy2) {
+    async openPositions(ccy1, ccy2) {
         const result = await this._postAuthPair('open_positions', undefined, ccy1, ccy2);
 
-        if (!result || result.ok !== 'ok') {
-            const err = new Error('Could not get open positions');
-            err.data = result;
-            throw err;
+        if (!Array.isArray(result.data)) {
+            throw unexpectedResponse('open_positions', result);
         }
 
-        return parseObjectStrings(result.data);
+        return this._parse(result.data);
     }
 
-    async closePosition(id, ccy1 = this.ccy1, ccy2 = this.ccy2) {
+    async closePosition(id, ccy1, ccy2) {
         const result = await this._postAuthPair('close_position', { id }, ccy1, ccy2);
 
-        if (!result || result.ok !== 'ok') {
-            const err = new Error('Could not close position');
-            err.data = result;
-            throw err;
+        if (!result.data) {
+            throw unexpectedResponse('close_position', result);
+        }
+
+        return this._parse(result.data);
+    }
+
+    async getPosition(id) {
+        const result = await this._postAuth('get_position/', { id });
+
+        if (!result.data) {
+            throw unexpectedResponse('get_position', result);
         }
 
-        return parseObjectStrings(result.data);
+        return this._position(this._parse(result.data));
     }
 
-    async openPosition(args) {
+    async archivedPositions({ pair, ccy1, ccy2, dateFrom, dateTo } = {}) {
+        const params = _.omitBy({
+            dateFrom: toUnixTime(dateFrom),
+            dateTo: toUnixTime(dateTo)
+        }, _.isUndefined);
+
+        const result = await this._postAuthPair('archived_positions', params, pair || ccy1, ccy2);
+
+        if (!Array.isArray(result.data)) {
+            throw unexpectedResponse('archived_positions', result);
+        }
+
+        return this._parse(result.data);
+    }
+
+    async getMarginalFee(ccy1, ccy2) {
+        const result = await this._postAuthPair('get_marginal_fee', undefined, ccy1, ccy2);
+
+        if (!result.data) {
+            throw unexpectedResponse('get_marginal_fee', result);
+        }
+
+        return this._parse(result.data);
+    }
+
+    // The position has already been opened or fetched by the time the last price
+    // is asked for, so failing to get it leaves the PnL unknown rather than throwing.
+    // Without market info the PnL is rounded to 8 places.
+    async _position(position) {
+        const pair = positionPair(position);
+        const [symbol1, symbol2] = pair.split(':');
+
+        let lastPrice = null;
+        try {
+            lastPrice = await this.lastPrice(pair);
+        } catch (err) {
+            d('could not get last price for %s position %s: %s', pair, position.id, err.message);
+        }
+
+        let counterPrecision;
+        if (lastPrice !== null) {
+            try {
+                ({ counterPrecision } = await this.marketInfo.pair(symbol1, symbol2));
+            } catch (err) {
+                d('could not get market info for %s position %s: %s', pair, position.id, err.message);
+            }
+        }
+
+        return normalizePosition(position, lastPrice, this._parse, counterPrecision);
+    }
+
+    async placeOrder({ type, amount, price, orderType = 'limit', pair, ccy1, ccy2 } = {}) {
+        ({ base: ccy1, quote: ccy2 } = this._pair(pair || ccy1, ccy2));
+        const context = { endpoint: 'place_order', params: { type, amount, price, orderType, ccy1, ccy2 } };
+        const params = await this._orderParams({ type, amount, price, orderType, ccy1, ccy2 }, context);
+
+        const result = await this._postAuthPair('place_order', params, ccy1, ccy2);
+
+        if (!result.id) {
+            throw unexpectedResponse('place_order', result);
+        }
+
+        return this._parse(result);
+    }
+
+    // Cancels a limit order and places its replacement in one call
+    async cancelReplaceOrder(id, { type, amount, price, pair, ccy1, ccy2 } = {}) {
+        ({ base: ccy1, quote: ccy2 } = this._pair(pair || ccy1, ccy2));
+        const context = { endpoint: 'cancel_replace_order', params: { id, type, amount, price, ccy1, ccy2 } };
+
+        if (id === undefined || id === null) {
+            throw new InvalidOrderError('An order id is required', context);
+        }
+
+        const params = await this._orderParams({ type, amount, price, orderType: 'limit', ccy1, ccy2 }, context);
+        params.order_id = id;
+
+        const result = await this._postAuthPair('cancel_replace_order', params, ccy1, ccy2);
+
+        if (!result.data || !result.data.id) {
+            throw unexpectedResponse('cancel_replace_order', result);
+        }
+
+        return this._parse(result.data);
+    }
+
+    async _orderParams({ type, amount, price, orderType, ccy1, ccy2 }, context) {
+        if (type !== 'buy' && type !== 'sell') {
+            throw new InvalidOrderError(`Invalid order type: ${ type }`, context);
+        }
+        if (orderType !== 'limit' && orderType !== 'market') {
+            throw new InvalidOrderError(`Invalid orderType: ${ orderType }`, context);
+        }
+        if (orderType === 'limit' && price === undefined) {
+            throw new InvalidOrderError('Limit orders require a price', context);
+        }
+
+        const info = await this.marketInfo.pair(ccy1, ccy2);
+        const order = validateOrder(info, { type, orderType, amount, price: orderType === 'limit' ? price : undefined }, context);
+
+        const params = { type, amount: order.amount };
+        if (orderType === 'market') {
+            params.order_type = 'market';
+        } else {
+            params.price = order.price;
+        }
+        return params;
+    }
+
+    async cancelOrder(id) {
+        const result = await this._postAuth('cancel_order/', { id });
+
+        if (result !== true) {
+            throw unexpectedResponse('cancel_order', result);
+        }
+
+        return true;
+    }
+
+    async cancelAllOrders(ccy1, ccy2) {
+        const result = await this._postAuthPair('cancel_orders', undefined, ccy1, ccy2);
+
+        if (!Array.isArray(result.data)) {
+            throw unexpectedResponse('cancel_orders', result);
+        }
+
+        return result.data;
+    }
+
+    async getOrder(id) {
+        const result = await this._postAuth('get_order/', { id });
+
+        return this._parse(result);
+    }
+
+    async getOrderTransactions(id) {
+        const result = await this._postAuth('get_order_tx/', { id });
+
+        if (!result.data) {
+            throw unexpectedResponse('get_order_tx', result);
+        }
+
+        return this._parse(result.data);
+    }
+
+    async archivedOrders({
+        pair,
+        ccy1,
+        ccy2,
+        dateFrom,
+        dateTo,
+        lastTxDateFrom,
+        lastTxDateTo,
+        limit,
+        status
+    } = {}) {
+        const params = _.omitBy({
+            dateFrom: toUnixTime(dateFrom),
+            dateTo: toUnixTime(dateTo),
+            lastTxDateFrom: toUnixTime(lastTxDateFrom),
+            lastTxDateTo: toUnixTime(lastTxDateTo),
+            limit,
+            status
+        }, _.isUndefined);
+
+        const result = await this._postAuthPair('archived_orders', params, pair || ccy1, ccy2);
+
+        if (!Array.isArray(result)) {
+            throw unexpectedResponse('archived_orders', result);
+        }
+
+        return this._parse(result);
+    }
+
+    // Walks forward from dateFrom to dateTo one window (in seconds) at a time.
+    // A window that comes back with a full page may have been truncated, so it
+    // is halved until the results fit within the limit, and if even a one
+    // second window is full, the iterator throws rather than lose orders.
+    async *archivedOrdersIterator({ dateFrom, dateTo = new Date(), window = 86400, limit = 100, ...filters } = {}) {
+        if (dateFrom === undefined) {
+            throw new Error('archivedOrdersIterator requires a dateFrom');
+        }
+
+        let from = toUnixTime(dateFrom);
+        const to = toUnixTime(dateTo);
+        let previousIds = new Set();
+
+        while (from < to) {
+            let windowEnd = Math.min(from + window, to);
+            let orders = await this.archivedOrders(Object.assign({}, filters, { dateFrom: from, dateTo: windowEnd, limit }));
+
+            while (orders.length >= limit && windowEnd - from > 1) {
+                windowEnd = from + Math.floor((windowEnd - from) / 2);
+                orders = await this.archivedOrders(Object.assign({}, filters, { dateFrom: from, dateTo: windowEnd, limit }));
+            }
+
+            // a full one second window cannot be split any further, and yielding
+            // it would silently drop the orders that did not fit
+            if (orders.length >= limit) {
+                throw new Error(`At least ${ limit } orders were placed between ${ from } and ${ windowEnd }; ` +
+                    'raise the limit to page through them');
+            }
+
+            // window bounds are inclusive, so orders on a boundary show up twice
+            const ids = new Set();
+            for (const order of orders) {
+                ids.add(order.id);
+                if (!previousIds.has(order.id)) {
+                    yield order;
+                }
+            }
+
+            previousIds = ids;
+            from = windowEnd;
+        }
+    }
+
+    async openPosition(args = {}) {
+        const { base, quote } = this._pair(args.pair || args.ccy1, args.ccy2);
         const {
             amount,
-            symbol = this.ccy1,
-            msymbol = this.ccy1,
+            symbol = base,
+            msymbol = base,
             ptype = 'long',
             anySlippage = true,
             leverage = 3,
@@ -212,52 +754,159 @@ class CEXIO {
             stopLossPrice
         } = args;
 
-        const params = {
-            amount: maxDpStr(String(amount)),
+        const context = { endpoint: 'open_position', params: args };
+        const positionType = String(ptype).toLowerCase();
+
+        if (positionType !== 'long' && positionType !== 'short') {
+            throw new InvalidOrderError(`Invalid ptype: ${ ptype }`, context);
+        }
+        if (!Number.isInteger(Number(leverage)) || Number(leverage) < 2) {
+            throw new InvalidOrderError(`Invalid leverage: ${ leverage }`, context);
+        }
+        if (eoprice === undefined || eoprice === null) {
+            throw new InvalidOrderError('Positions require an estimated opening price (eoprice)', context);
+        }
+
+        const info = await this.marketInfo.pair(base, quote);
+        const order = validateOrder(info, { type: 'buy', amount, price: eoprice }, context);
+
+        const params = _.omitBy({
+            amount: order.amount,
             symbol,
             msymbol,
-            ptype: ptype.toLowerCase(),
+            ptype: positionType,
             anySlippage: anySlippage ? 'true' : 'false',
             leverage: String(leverage),
-            eoprice: maxDpStr(String(eoprice)),
-            stopLossPrice: maxDpStr(stopLossPrice ? String(stopLossPrice) : undefined)
-        };
+            eoprice: order.price,
+            stopLossPrice: stopLossPrice === undefined ? undefined : maxDpStr(stopLossPrice, info.pricePrecision)
+        }, _.isUndefined);
 
-        const result = await this._postAuthPair('open_position', params);
+        const result = await this._postAuthPair('open_position', params, base, quote);
 
-        if (!result || result.ok !== 'ok') {
-            const err = new Error('Could not open position');
-            err.data = result;
-            throw err;
+        if (!result.data) {
+            throw unexpectedResponse('open_position', result);
         }
 
-        return parseObjectStrings(result.data);
+        // open_position does not echo the leverage back
+        return this._position(this._parse(Object.assign({ leverage: String(leverage) }, result.data)));
+    }
+}
+
+// The same client trading against a SimulatedExchange with virtual funds.
+// Public market data still comes through `req`, from CEX.io by default.
+class SimulatedCEXIO extends CEXIO {
+
+    constructor(options = {}, req) {
+        const { balances, fees, orderBooks, transport } = options;
+        const exchange = new SimulatedExchange({ balances, fees, orderBooks, req: req || new HttpsTransport(transport).req });
+
+        super(Object.assign({ clientId: 'simulated', key: 'simulated', secret: 'simulated' },
+            _.omit(options, ['balances', 'fees', 'orderBooks'])), exchange.req);
+
+        this.exchange = exchange;
+    }
+}
+
+// Named accounts, each with its own CEXIO client (see lib/pool.js)
+class CEXIOPool extends AccountPool {
+
+    constructor(accounts = {}, options = {}) {
+        super(accounts, Object.assign({}, options, { createClient: options.createClient || (clientOptions => new CEXIO(clientOptions)) }));
     }
 }
 
 module.exports = CEXIO;
 
-function maxDpStr(str = '', dp = 8) {
-    const val = parseFloat(str);
-    if (val !== val) { return str; } // NaN
-    return sprintf(`%.${ dp }f`, val);
+Object.assign(CEXIO, _.pick(errors, [
+    'CexioApiError',
+    'AuthenticationError',
+    'NonceError',
+    'InsufficientFundsError',
+    'RateLimitError',
+    'InvalidOrderError',
+    'NetworkError',
+    'AbortError'
+]), {
+    MemoryNonceStore,
+    FileNonceStore,
+    CEXIOStream,
+    LiveOrderBook,
+    OrderTracker,
+    SimulatedCEXIO,
+    SimulatedExchange,
+    Cassette,
+    Pair,
+    HttpsTransport,
+    Metrics,
+    requestLogger,
+    ResponseCache,
+    CEXIOPool,
+    StaticCredentials,
+    EnvCredentials,
+    FileCredentials,
+    FunctionCredentials
+});
+
+const ohlcvFields = {
+    '1m': 'data1m',
+    '1h': 'data1h',
+    '1d': 'data1d'
+};
+
+// The first and last unix time covered by a date. 'YYYYMMDD' strings cover the
+// whole day; Dates, timestamps in seconds and other strings are exact.
+function dayRange(date) {
+    if (typeof date === 'string' && /^\d{8}$/.test(date)) {
+        const start = Date.UTC(date.slice(0, 4), date.slice(4, 6) - 1, date.slice(6, 8)) / 1000;
+        return [start, start + 86399];
+    }
+    const time = toUnixTime(date);
+    return [time, time];
 }
 
-function parseObjectStrings(val) {
-    if (_.isArray(val)) {
-        return val.map(parseObjectStrings);
-    } else if (_.isObject(val)) {
-        return _.mapValues(val, parseObjectStrings);
-    } else if (typeof val === 'string') {
-        return transformString(val);
+// 'YYYYMMDD' for each UTC day touched by the range of unix times
+function daysBetween(start, end) {
+    const days = [];
+    for (let day = start - (start % 86400); day <= end; day += 86400) {
+        days.push(new Date(day * 1000).toISOString().slice(0, 10).replace(/-/g, ''));
     }
-    return val;
+    return days;
 }
 
-function transformString(val) {
-    const floatVal = parseFloat(val);
-    if (floatVal === floatVal) { // !NaN
-        return floatVal;
+function postRequestParams(url, body) {
+    const requestParams = Object.assign({}, defaultReqOptions, { body, url, method: 'POST' });
+
+    requestParams.headers = Object.assign({},
+        requestParams.headers,
+        { 'Content-Length': body.length }
+    );
+
+    return requestParams;
+}
+
+// Some currencies (XRP, XLM, ...) append the destination tag or memo to the address
+function parseAddress(address) {
+    const match = /^([^?]+)\?(?:dt|memo)=(.+)$/.exec(address);
+    return match ? { address: match[1], destination: match[2] } : { address };
+}
+
+// Errors from private calls never repeat the key or secret, even where the
+// response or the transport's message quoted them
+function concealCredentials(err, credentials) {
+    if (err.data !== undefined) {
+        err.data = credentials.redact(err.data);
     }
-    return val;
+    err.message = credentials.redact(err.message);
+}
+
+// Milliseconds since a process.hrtime()
+function elapsed(started) {
+    const [seconds, nanoseconds] = process.hrtime(started);
+    return seconds * 1e3 + nanoseconds / 1e6;
+}
+
+function toUnixTime(date) {
+    if (date === undefined || typeof date === 'number') { return date; }
+    if (!(date instanceof Date)) { date = new Date(date); }
+    return Math.floor(date.getTime() / 1000);
 }
@@ -0,0 +1,101 @@
+'use strict';
+const _ = require('lodash');
+const querystring = require('querystring');
+
+// Milliseconds to keep each public endpoint's responses for. Endpoints not
+// listed fall back to `defaultTtl`; a ttl of 0 still shares requests that are
+// in flight, but keeps nothing afterwards.
+const defaultCacheTtls = {
+    currency_limits: 60 * 1000,
+    currency_profile: 60 * 1000,
+    ticker: 1000,
+    tickers: 1000,
+    last_price: 1000,
+    last_prices: 1000,
+    order_book: 500
+};
+
+// Caches public responses by endpoint and query, and shares one request between
+// identical calls made while it is in flight. Failures are never kept.
+class ResponseCache {
+
+    constructor({ ttls = {}, defaultTtl = 0 } = {}) {
+        this.ttls = Object.assign({}, defaultCacheTtls, ttls);
+        this.defaultTtl = defaultTtl;
+        this.entries = new Map();
+        this.counts = { hits: 0, misses: 0, coalesced: 0 };
+    }
+
+    ttl(endpoint) {
+        const ttl = this.ttls[String(endpoint).split('/')[0]];
+        return ttl === undefined ? this.defaultTtl : ttl;
+    }
+
+    // Resolves with a fresh cached response, joins the same request already in
+    // flight, or calls `load`. With `join` false an in-flight request is not
+    // joined (its caller might abort it), though the response is still kept.
+    get(endpoint, qs, load, { join = true } = {}) {
+        const key = cacheKey(endpoint, qs);
+        const entry = this.entries.get(key);
+
+        if (entry && !entry.pending && entry.expires > Date.now()) {
+            this.counts.hits++;
+            return entry.promise;
+        }
+        if (entry && entry.pending && join) {
+            this.counts.coalesced++;
+            return entry.promise;
+        }
+
+        this.counts.misses++;
+        const ttl = this.ttl(endpoint);
+        const fresh = { pending: true, expires: 0 };
+
+        // an entry invalidated while its request was in flight is not put back
+        fresh.promise = load().then(res => {
+            fresh.pending = false;
+            if (this.entries.get(key) === fresh) {
+                if (ttl > 0) {
+                    fresh.expires = Date.now() + ttl;
+                } else {
+                    this.entries.delete(key);
+                }
+            }
+            return res;
+        }, err => {
+            if (this.entries.get(key) === fresh) {
+                this.entries.delete(key);
+            }
+            throw err;
+        });
+
+        this.entries.set(key, fresh);
+        return fresh.promise;
+    }
+
+    // Drops everything kept for an endpoint name ('ticker'), an endpoint
+    // ('ticker/BTC/USD'), or with no argument, everything
+    invalidate(endpoint) {
+        if (endpoint === undefined) {
+            this.entries.clear();
+            return;
+        }
+
+        for (const key of Array.from(this.entries.keys())) {
+            if (key === endpoint || key.startsWith(`${ endpoint }/`) || key.startsWith(`${ endpoint }?`)) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    stats() {
+        return Object.assign({ size: this.entries.size }, this.counts);
+    }
+}
+
+function cacheKey(endpoint, qs) {
+    const query = querystring.stringify(_.fromPairs(_.sortBy(_.toPairs(_.omitBy(qs, _.isUndefined)), 0)));
+    return query ? `${ endpoint }?${ query }` : endpoint;
+}
+
+module.exports = { ResponseCache, defaultCacheTtls };
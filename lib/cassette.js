@@ -0,0 +1,147 @@
+'use strict';
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const querystring = require('querystring');
+const debug = require('debug');
+const d = debug('cexio:cassette');
+const { REDACTED } = require('./errors');
+const { HttpsTransport } = require('./transport');
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const rename = promisify(fs.rename);
+
+// Never written to a cassette. The nonce and signature change on every run, so
+// requests are matched with them blanked out.
+const recordedSecrets = ['key', 'signature', 'nonce', 'secret'];
+
+// Records the requests a client makes and the responses it gets into a JSON
+// file, or serves them back from one. Pass `cassette.req` as a client's `req`.
+// In replay mode each recorded response is served once, in the order it was
+// recorded, to the request that matches it; a request with nothing left to
+// serve fails rather than reaching the network.
+class Cassette {
+
+    constructor(file, { mode = process.env.CEXIO_RECORD ? 'record' : 'replay', req } = {}) {
+        if (mode !== 'record' && mode !== 'replay') {
+            throw new Error(`Invalid cassette mode: ${ mode }`);
+        }
+
+        this.file = path.resolve(file);
+        this.mode = mode;
+        this.realReq = req || new HttpsTransport().req;
+        this.interactions = [];
+        this.queues = null;
+
+        this.req = this.req.bind(this);
+    }
+
+    req(options) {
+        return this.mode === 'record' ? this._record(options) : this._replay(options);
+    }
+
+    async _record(options) {
+        const described = describeRequest(options);
+
+        try {
+            const body = await this.realReq(options);
+            this.interactions.push({ request: described, response: { body } });
+            return body;
+        } catch (err) {
+            this.interactions.push({ request: described, response: { error: describeError(err) } });
+            throw err;
+        }
+    }
+
+    async _replay(options) {
+        const queues = await this._load();
+        const described = describeRequest(options);
+        const queue = queues.get(requestKey(described));
+
+        if (!queue || !queue.length) {
+            throw new Error(`No recorded response left in ${ this.file } for ${ described.method } ${ described.url }`);
+        }
+
+        const { response } = queue.shift();
+        d('replaying %s %s', described.method, described.url);
+
+        if (response.error) {
+            throw restoreError(response.error);
+        }
+        return _.cloneDeep(response.body);
+    }
+
+    async _load() {
+        if (!this.queues) {
+            const { interactions } = JSON.parse(await readFile(this.file, 'utf8'));
+            this.queues = new Map();
+
+            for (const interaction of interactions) {
+                const key = requestKey(interaction.request);
+                if (!this.queues.has(key)) {
+                    this.queues.set(key, []);
+                }
+                this.queues.get(key).push(interaction);
+            }
+        }
+        return this.queues;
+    }
+
+    // Writes everything recorded so far
+    async save() {
+        if (this.mode !== 'record') {
+            throw new Error('Only a recording cassette can be saved');
+        }
+
+        const tmpFile = `${ this.file }.${ process.pid }.tmp`;
+        await writeFile(tmpFile, `${ JSON.stringify({ version: 1, interactions: this.interactions }, null, 2) }\n`);
+        await rename(tmpFile, this.file);
+    }
+}
+
+function redactSecrets(params) {
+    return _.mapValues(params, (val, key) => recordedSecrets.includes(key) ? REDACTED : val);
+}
+
+function describeRequest(options) {
+    return _.omitBy({
+        method: options.method || 'GET',
+        url: options.url,
+        qs: _.isEmpty(options.qs) ? undefined : redactSecrets(options.qs),
+        params: options.body ? redactSecrets(querystring.parse(options.body)) : undefined
+    }, _.isUndefined);
+}
+
+// The same request always gives the same key, whatever order its params are in
+function requestKey({ method, url, qs = {}, params = {} }) {
+    const sorted = obj => _.sortBy(_.toPairs(obj), 0);
+    return JSON.stringify([method, url, sorted(qs), sorted(params)]);
+}
+
+// HTTP errors keep their status and body; anything else is treated as a network failure
+function describeError(err) {
+    return _.omitBy({
+        name: err.name,
+        message: err.message,
+        statusCode: err.statusCode,
+        body: err.statusCode ? err.error : undefined,
+        code: err.code || (err.cause && err.cause.code)
+    }, _.isUndefined);
+}
+
+function restoreError({ name, message, statusCode, body, code }) {
+    const err = new Error(message);
+    err.name = name;
+    if (statusCode) {
+        err.statusCode = statusCode;
+        err.error = body;
+    }
+    if (code) {
+        err.code = code;
+    }
+    return err;
+}
+
+module.exports = { Cassette };
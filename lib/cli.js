@@ -0,0 +1,220 @@
+'use strict';
+const _ = require('lodash');
+const readline = require('readline');
+const CEXIO = require('..');
+
+const usage = `Usage: cexio <command> [options]
+
+Commands:
+  ticker [PAIR]              latest ticker for a pair
+  balance                    non-zero balances
+  orders [PAIR]              open orders, for one pair or all of them
+  book [PAIR] [--depth N]    order book
+  cancel-all [PAIR]          cancel every open order for a pair
+  positions [PAIR]           open margin positions
+
+PAIR is written BTC/USD and defaults to CEXIO_CCY_1/CEXIO_CCY_2.
+Credentials come from CEXIO_CLIENT_ID, CEXIO_KEY and CEXIO_SECRET.
+
+Options:
+  --json                     print the raw result as JSON
+  --depth N                  order book depth
+  -y, --yes                  do not ask before destructive commands
+  -h, --help                 show this help
+`;
+
+const commands = {
+    async ticker(client, { ccy1, ccy2 }) {
+        const ticker = await client.ticker();
+        return {
+            result: ticker,
+            table: table(['pair', 'last', 'bid', 'ask', 'low', 'high', 'volume'], [
+                [`${ ccy1 }/${ ccy2 }`, ticker.last, ticker.bid, ticker.ask, ticker.low, ticker.high, ticker.volume]
+            ])
+        };
+    },
+
+    async balance(client) {
+        const balance = await client.balance();
+        const rows = _.toPairs(_.omit(balance, ['timestamp', 'username']))
+            .filter(([, { available, orders }]) => Number(available) || Number(orders))
+            .map(([currency, { available, orders }]) => [currency, available, orders]);
+
+        return { result: balance, table: table(['currency', 'available', 'orders'], rows) };
+    },
+
+    async orders(client, { ccy1, ccy2, explicitPair }) {
+        const orders = explicitPair ? await client.openOrders(ccy1, ccy2) : await client.openOrders();
+        const rows = orders.map(order => [
+            order.id,
+            order.symbol1 ? `${ order.symbol1 }/${ order.symbol2 }` : `${ ccy1 }/${ ccy2 }`,
+            order.type,
+            order.price,
+            order.amount,
+            order.pending,
+            new Date(Number(order.time)).toISOString()
+        ]);
+
+        return { result: orders, table: table(['id', 'pair', 'type', 'price', 'amount', 'pending', 'time'], rows) };
+    },
+
+    async book(client, { ccy1, ccy2, depth }) {
+        const book = await client.orderBook(depth, ccy1, ccy2);
+        const rows = _.range(Math.max(book.bids.length, book.asks.length)).map(i => [
+            ...(book.bids[i] ? [book.bids[i][1], book.bids[i][0]] : ['', '']),
+            ...(book.asks[i] ? [book.asks[i][0], book.asks[i][1]] : ['', ''])
+        ]);
+
+        return { result: book, table: table(['bid amount', 'bid', 'ask', 'ask amount'], rows) };
+    },
+
+    async 'cancel-all'(client, { ccy1, ccy2, yes }, io) {
+        if (!yes && !await confirm(io, `Cancel all open ${ ccy1 }/${ ccy2 } orders? [y/N] `)) {
+            return { result: [], table: 'Nothing cancelled' };
+        }
+
+        const ids = await client.cancelAllOrders(ccy1, ccy2);
+        return { result: ids, table: ids.length ? `Cancelled ${ ids.join(', ') }` : 'No open orders' };
+    },
+
+    async positions(client, { ccy1, ccy2 }) {
+        const positions = await client.openPositions(ccy1, ccy2);
+        const rows = positions.map(position => [
+            position.id,
+            position.pair,
+            position.ptype,
+            position.amount,
+            position.oprice,
+            position.leverage,
+            position.stopLossPrice
+        ]);
+
+        return { result: positions, table: table(['id', 'pair', 'type', 'amount', 'open price', 'leverage', 'stop loss'], rows) };
+    }
+};
+
+function parseArgs(argv) {
+    const args = { positional: [], json: false, yes: false, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') {
+            args.json = true;
+        } else if (arg === '-y' || arg === '--yes') {
+            args.yes = true;
+        } else if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else if (arg === '--depth') {
+            args.depth = argv[++i];
+        } else if (arg.startsWith('--depth=')) {
+            args.depth = arg.slice('--depth='.length);
+        } else if (arg.startsWith('-')) {
+            throw new UsageError(`Unknown option: ${ arg }`);
+        } else {
+            args.positional.push(arg);
+        }
+    }
+
+    if (args.depth !== undefined && !/^\d+$/.test(args.depth)) {
+        throw new UsageError(`--depth must be a whole number, not ${ args.depth }`);
+    }
+    return args;
+}
+
+// Pairs are read the same way the library reads them (see lib/pair.js)
+function parsePair(pair, env) {
+    if (!pair) {
+        if (!env.CEXIO_CCY_1 || !env.CEXIO_CCY_2) {
+            throw new UsageError('No pair given and CEXIO_CCY_1/CEXIO_CCY_2 are not set');
+        }
+        pair = { base: env.CEXIO_CCY_1, quote: env.CEXIO_CCY_2 };
+    }
+
+    try {
+        const { base, quote } = CEXIO.Pair.from(pair);
+        return [base, quote];
+    } catch (e) {
+        throw new UsageError(e.message);
+    }
+}
+
+// Plain text columns, left aligned
+function table(headings, rows) {
+    if (!rows.length) {
+        return '(none)';
+    }
+
+    const cells = [headings].concat(rows).map(row => row.map(cell => cell === undefined || cell === null ? '' : String(cell)));
+    const widths = headings.map((heading, i) => _.max(cells.map(row => row[i].length)));
+
+    return cells
+        .map(row => row.map((cell, i) => _.padEnd(cell, widths[i])).join('  ').trimEnd())
+        .join('\n');
+}
+
+function confirm({ stdin, stderr }, question) {
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: stdin, output: stderr, terminal: false });
+        let answered = false;
+
+        rl.question(question, answer => {
+            answered = true;
+            rl.close();
+            resolve(/^y(es)?$/i.test(answer.trim()));
+        });
+        rl.on('close', () => {
+            if (!answered) {
+                resolve(false);
+            }
+        });
+    });
+}
+
+class UsageError extends Error {}
+
+// Runs one command and resolves with the exit code
+async function run(argv, {
+    env = process.env,
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+    createClient = options => new CEXIO(options)
+} = {}) {
+    try {
+        const args = parseArgs(argv);
+        if (args.help || !args.positional.length) {
+            stdout.write(usage);
+            return args.help ? 0 : 2;
+        }
+
+        const [name, pair] = args.positional;
+        const command = _.has(commands, name) && commands[name];
+        if (!command) {
+            throw new UsageError(`Unknown command: ${ name }`);
+        }
+
+        const needsPair = name !== 'balance' && (name !== 'orders' || pair);
+        const [ccy1, ccy2] = needsPair ? parsePair(pair, env) : [];
+        const client = createClient({ ccy1, ccy2, numbers: 'string' });
+
+        const { result, table: text } = await command(client, {
+            ccy1,
+            ccy2,
+            explicitPair: Boolean(pair),
+            depth: args.depth === undefined ? undefined : Number(args.depth),
+            yes: args.yes
+        }, { stdin, stderr });
+
+        stdout.write(`${ args.json ? JSON.stringify(result, null, 2) : text }\n`);
+        return 0;
+    } catch (err) {
+        stderr.write(`cexio: ${ err.message }\n`);
+        if (err instanceof UsageError) {
+            stderr.write('Run cexio --help for usage\n');
+            return 2;
+        }
+        return 1;
+    }
+}
+
+module.exports = { run, parseArgs, parsePair, table };
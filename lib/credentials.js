@@ -0,0 +1,194 @@
+'use strict';
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { AuthenticationError, REDACTED } = require('./errors');
+const { accountEnv } = require('./pool');
+
+const readFile = promisify(fs.readFile);
+
+// A credential provider is any object with an async get() method resolving
+// with { clientId, key, secret }, and optionally `expires` (a Date or
+// millisecond timestamp) after which it is asked again. Providers hand out
+// credentials; only the client's Credentials ever hold on to them.
+
+// Credentials known up front. They are held in a closure rather than as
+// properties, so the secret does not show up when the provider is logged or
+// inspected; it is still in memory as a plain string.
+class StaticCredentials {
+    constructor({ clientId, key, secret } = {}) {
+        const credentials = { clientId, key, secret };
+        this.get = () => Promise.resolve(credentials);
+    }
+}
+
+// CEXIO_CLIENT_ID, CEXIO_KEY and CEXIO_SECRET, or for an account 'main',
+// CEXIO_MAIN_CLIENT_ID and so on, read each time credentials are loaded
+class EnvCredentials {
+    constructor(account, env = process.env) {
+        this.account = account;
+        this.env = env;
+    }
+
+    async get() {
+        return _.pick(accountEnv(this.account, this.env), ['clientId', 'key', 'secret']);
+    }
+}
+
+// A JSON file holding { clientId, key, secret }, or with `account`, an object
+// of them keyed by account name. The file is read each time credentials are
+// loaded, so rewriting it and calling rotateCredentials() rotates them.
+class FileCredentials {
+    constructor(file, { account } = {}) {
+        this.file = path.resolve(file);
+        this.account = account;
+    }
+
+    async get() {
+        let contents;
+        try {
+            contents = JSON.parse(await readFile(this.file, 'utf8'));
+        } catch (e) {
+            // the message of a JSON parse error can quote the file's contents
+            throw new AuthenticationError(`Could not read credentials from ${ this.file }: ${ e.code || e.name }`);
+        }
+
+        const credentials = this.account === undefined ? contents : contents && contents[this.account];
+        if (!_.isPlainObject(credentials)) {
+            throw new AuthenticationError(`No credentials for account ${ this.account } in ${ this.file }`);
+        }
+        return credentials;
+    }
+}
+
+// Anything else: an async function, e.g. one reading from a vault
+class FunctionCredentials {
+    constructor(fn) {
+        this.fn = fn;
+    }
+
+    async get() {
+        return this.fn();
+    }
+}
+
+function toCredentialProvider(credentials) {
+    if (credentials && typeof credentials.get === 'function') {
+        return credentials;
+    }
+    if (typeof credentials === 'function') {
+        return new FunctionCredentials(credentials);
+    }
+    if (_.isPlainObject(credentials)) {
+        return new StaticCredentials(credentials);
+    }
+    throw new Error('Credentials must be { clientId, key, secret }, a function, or an object with a get() method');
+}
+
+// Loads credentials from a provider the first time a private call needs them,
+// shares one load between concurrent calls, and loads them again once they
+// expire or are dropped. Loaded credentials expose clientId and key, but the
+// secret only through the closures of sign(), hmac() and redact(): it is not a
+// property of the client and does not appear in inspection output, logs or
+// error data. `required` lists the fields a load fails without.
+class Credentials {
+
+    constructor(provider, { required = ['clientId', 'key', 'secret'] } = {}) {
+        this.required = required;
+        this.rotate(provider);
+    }
+
+    // Starts using a new provider, or with none, asks the current one again.
+    // Calls already signed are not affected.
+    rotate(provider) {
+        if (provider !== undefined) {
+            this.provider = toCredentialProvider(provider);
+        }
+        this.loading = null;
+    }
+
+    load() {
+        if (this.loading && !this.loading.expired()) {
+            return this.loading.promise;
+        }
+
+        const loading = { expires: Infinity, expired: () => Date.now() >= loading.expires };
+        loading.promise = Promise.resolve()
+            .then(() => this.provider.get())
+            .then(credentials => {
+                loading.loaded = unlock(credentials, this.required);
+                loading.expires = expiry(credentials);
+                return loading.loaded;
+            })
+            .catch(err => {
+                // a failed load is tried again by the next call
+                if (this.loading === loading) {
+                    this.loading = null;
+                }
+                throw err;
+            });
+
+        this.loading = loading;
+        return loading.promise;
+    }
+
+    // Drops loaded credentials so that the next call loads them again, unless
+    // they have already been replaced
+    drop(loaded) {
+        if (this.loading && this.loading.loaded === loaded) {
+            this.loading = null;
+        }
+    }
+}
+
+function unlock({ clientId, key, secret } = {}, required) {
+    const missing = required.filter(field => !{ clientId, key, secret }[field]);
+    if (missing.length) {
+        throw new AuthenticationError(`Missing API credentials: ${ missing.join(', ') }`);
+    }
+
+    const secretBuffer = Buffer.from(String(secret));
+    const hidden = [String(key), String(secret)];
+    const hmac = message => crypto.createHmac('sha256', secretBuffer).update(message).digest('hex');
+
+    return {
+        clientId: clientId === undefined ? undefined : String(clientId),
+        key: String(key),
+        // REST signatures are upper case hex, WebSocket ones lower case
+        sign: message => hmac(message).toUpperCase(),
+        hmac,
+        // replaces the key and secret wherever they appear in a string, array or object
+        redact: value => redactValues(value, hidden)
+    };
+}
+
+function expiry({ expires } = {}) {
+    if (expires === undefined || expires === null) {
+        return Infinity;
+    }
+    return expires instanceof Date ? expires.getTime() : Number(expires);
+}
+
+function redactValues(value, hidden) {
+    if (typeof value === 'string') {
+        return hidden.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redactValues(item, hidden));
+    }
+    if (_.isPlainObject(value)) {
+        return _.mapValues(value, item => redactValues(item, hidden));
+    }
+    return value;
+}
+
+module.exports = {
+    Credentials,
+    StaticCredentials,
+    EnvCredentials,
+    FileCredentials,
+    FunctionCredentials,
+    toCredentialProvider
+};
@@ -0,0 +1,130 @@
+'use strict';
+const _ = require('lodash');
+
+const REDACTED = '[REDACTED]';
+const secretParams = ['key', 'signature', 'secret'];
+
+class CexioApiError extends Error {
+    constructor(message, { endpoint, params, status, data } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.endpoint = endpoint;
+        this.params = redact(params);
+        this.status = status;
+        this.data = redactDeep(data);
+    }
+}
+
+class AuthenticationError extends CexioApiError {}
+class NonceError extends CexioApiError {}
+class InsufficientFundsError extends CexioApiError {}
+class RateLimitError extends CexioApiError {}
+class InvalidOrderError extends CexioApiError {}
+class NetworkError extends CexioApiError {}
+
+// The call's AbortSignal fired while it was queued, waiting to be retried or in flight
+class AbortError extends CexioApiError {
+    constructor(message = 'The request was aborted', context) {
+        super(message, context);
+        this.code = 'ABORT_ERR';
+    }
+}
+
+// CEX.io reports failures as free text in `error`, so the class is picked by
+// matching the message. Order matters: 'Place order error: Insufficient funds'
+// is a funds problem, not an order problem.
+const errorPatterns = [
+    [/nonce/i, NonceError],
+    [/insufficient funds/i, InsufficientFundsError],
+    [/rate limit|too many requests/i, RateLimitError],
+    [/api key|signature|permission denied|not authori[sz]ed|authenticat/i, AuthenticationError],
+    [/invalid (amount|price|order|pair|symbol)|minimum|maximum|lot size|order not found|place order error/i, InvalidOrderError]
+];
+
+const statusErrors = {
+    401: AuthenticationError,
+    403: AuthenticationError,
+    429: RateLimitError
+};
+
+function redact(params) {
+    if (!_.isPlainObject(params)) { return params; }
+    return _.mapValues(params, (val, key) => secretParams.includes(key) ? REDACTED : val);
+}
+
+// Response bodies are redacted all the way down, in case one echoes a secret back
+function redactDeep(value) {
+    if (Array.isArray(value)) {
+        return value.map(redactDeep);
+    }
+    if (!_.isPlainObject(value)) { return value; }
+    return _.mapValues(value, (val, key) => secretParams.includes(key) ? REDACTED : redactDeep(val));
+}
+
+function errorForMessage(message, status) {
+    const match = errorPatterns.find(([pattern]) => pattern.test(message));
+    return match ? match[1] : (statusErrors[status] || CexioApiError);
+}
+
+// Throws if a successfully received response body describes a failure
+function checkResponse(res, context) {
+    if (res === undefined || res === null || res === '') {
+        throw new CexioApiError(`Empty response from ${ context.endpoint }`, context);
+    }
+    if (res.error) {
+        const ErrorClass = errorForMessage(String(res.error));
+        throw new ErrorClass(String(res.error), Object.assign({ data: res }, context));
+    }
+    if (res.ok && res.ok !== 'ok') {
+        throw new CexioApiError(`Request to ${ context.endpoint } was not ok`, Object.assign({ data: res }, context));
+    }
+    return res;
+}
+
+// Maps an error thrown by the request function onto the error hierarchy
+function fromRequestError(err, context) {
+    if (err instanceof CexioApiError) {
+        return err;
+    }
+
+    if (err.statusCode) {
+        const data = err.error;
+        const message = data && data.error ? String(data.error) : `HTTP ${ err.statusCode } from ${ context.endpoint }`;
+        const ErrorClass = errorForMessage(data && data.error ? message : '', err.statusCode);
+        return new ErrorClass(message, Object.assign({ status: err.statusCode, data }, context));
+    }
+
+    if (err.name === 'AbortError') {
+        return new AbortError(err.message, context);
+    }
+
+    const cause = err.cause || err;
+    if (err.name === 'RequestError' || typeof cause.code === 'string') {
+        const networkError = new NetworkError(err.message, context);
+        networkError.code = cause.code;
+        networkError.cause = cause;
+        return networkError;
+    }
+
+    return err;
+}
+
+function unexpectedResponse(endpoint, data) {
+    return new CexioApiError(`Unexpected response from ${ endpoint }`, { endpoint, data });
+}
+
+module.exports = {
+    CexioApiError,
+    AuthenticationError,
+    NonceError,
+    InsufficientFundsError,
+    RateLimitError,
+    InvalidOrderError,
+    NetworkError,
+    AbortError,
+    checkResponse,
+    fromRequestError,
+    unexpectedResponse,
+    redact,
+    REDACTED
+};
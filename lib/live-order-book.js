@@ -0,0 +1,254 @@
+'use strict';
+const EventEmitter = require('events');
+const debug = require('debug');
+const d = debug('cexio:book');
+const { resolvePair } = require('./pair');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// An order book kept up to date from WebSocket diffs. It is seeded from the REST
+// snapshot, then each 'md_update' is applied in sequence id order. A missing id
+// means a diff was lost, so the book is reseeded from a fresh snapshot. If that
+// fails the book is 'stale': its accessors return null, and the next diffs to
+// arrive try again, backing off up to maxResyncDelay. At most maxBuffer diffs
+// are held while waiting; older ones predate any snapshot still to come.
+class LiveOrderBook extends EventEmitter {
+
+    constructor({
+        client,
+        stream,
+        pair,
+        ccy1,
+        ccy2,
+        depth = 0,
+        maxResyncAttempts = 3,
+        resyncDelay = 500,
+        maxResyncDelay = 30000,
+        maxBuffer = 1000
+    }) {
+        super();
+
+        const { base, quote, key } = resolvePair(pair || ccy1, ccy2, client);
+
+        this.client = client;
+        this.stream = stream;
+        this.ccy1 = base;
+        this.ccy2 = quote;
+        this.pair = key;
+        this.depth = depth;
+        this.maxResyncAttempts = maxResyncAttempts;
+        this.resyncDelay = resyncDelay;
+        this.maxResyncDelay = maxResyncDelay;
+        this.maxBuffer = maxBuffer;
+
+        this.id = 0;
+        this.bids = new Map();
+        this.asks = new Map();
+        this.sorted = {};
+        this.synced = false;
+        this.resyncing = null;
+        this.buffer = [];
+        this.failedResyncs = 0;
+        this.retryAt = 0;
+
+        this._onUpdate = this._onUpdate.bind(this);
+    }
+
+    // Subscribes to diffs first so that none are missed while the snapshot is fetched
+    async start() {
+        this.stream.on('md_update', this._onUpdate);
+        await this.stream.subscribeOrderBook(this.ccy1, this.ccy2, this.depth);
+        await this.resync();
+    }
+
+    stop() {
+        this.stream.removeListener('md_update', this._onUpdate);
+        this.synced = false;
+        return this.stream.unsubscribeOrderBook(this.ccy1, this.ccy2).catch(err => d('unsubscribe failed', err.message));
+    }
+
+    resync() {
+        if (!this.resyncing) {
+            this.synced = false;
+            this.emit('resync');
+            // started a tick later, so that diffs arriving while the snapshot is
+            // requested see the resync already under way
+            this.resyncing = Promise.resolve().then(() => this._resync()).then(() => {
+                this.resyncing = null;
+                this.failedResyncs = 0;
+            }, err => {
+                this.resyncing = null;
+                this.failedResyncs++;
+                this.retryAt = Date.now() + Math.min(this.resyncDelay * Math.pow(2, this.failedResyncs - 1), this.maxResyncDelay);
+                this.emit('stale', err);
+                throw err;
+            });
+        }
+        return this.resyncing;
+    }
+
+    async _resync() {
+        for (let attempt = 1; ; attempt++) {
+            const snapshot = await this.client.orderBook(this.depth, this.ccy1, this.ccy2);
+            this._seed(snapshot);
+
+            if (this.buffer.every(diff => this._applyDiff(diff))) {
+                this.buffer = [];
+                this.synced = true;
+                this.emit('synced', this.id);
+                return;
+            }
+
+            d('snapshot %d does not line up with buffered diffs', snapshot.id);
+            if (attempt >= this.maxResyncAttempts) {
+                throw new Error(`Could not sync ${ this.pair } order book after ${ attempt } attempts`);
+            }
+            await sleep(this.resyncDelay);
+        }
+    }
+
+    _seed(snapshot) {
+        this.id = Number(snapshot.id);
+        this.bids = new Map(snapshot.bids.map(([price, amount]) => [Number(price), Number(amount)]));
+        this.asks = new Map(snapshot.asks.map(([price, amount]) => [Number(price), Number(amount)]));
+        this.sorted = {};
+    }
+
+    _onUpdate(diff) {
+        if (diff.pair !== this.pair) {
+            return;
+        }
+
+        if (!this.synced) {
+            this._buffer(diff);
+            if (!this.resyncing && Date.now() >= this.retryAt) {
+                this.resync().catch(err => this._emitError(err));
+            }
+            return;
+        }
+
+        if (!this._applyDiff(diff)) {
+            d('gap in %s order book: expected %d, got %d', this.pair, this.id + 1, diff.id);
+            this._buffer(diff);
+            this.resync().catch(err => this._emitError(err));
+        }
+    }
+
+    _buffer(diff) {
+        this.buffer.push(diff);
+        if (this.buffer.length > this.maxBuffer) {
+            this.buffer.splice(0, this.buffer.length - this.maxBuffer);
+        }
+    }
+
+    // Returns false if the diff does not follow on from the current sequence id
+    _applyDiff(diff) {
+        const id = Number(diff.id);
+
+        if (id <= this.id) {
+            return true;
+        }
+        if (id !== this.id + 1) {
+            return false;
+        }
+
+        applyLevels(this.bids, diff.bids);
+        applyLevels(this.asks, diff.asks);
+        this.id = id;
+        this.sorted = {};
+
+        if (this.synced) {
+            this.emit('update', diff);
+        }
+        return true;
+    }
+
+    // Price levels best first: [[price, amount], ...]
+    levels(side) {
+        if (!this.sorted[side]) {
+            const book = side === 'bids' ? this.bids : this.asks;
+            const direction = side === 'bids' ? -1 : 1;
+            this.sorted[side] = Array.from(book).sort((a, b) => direction * (a[0] - b[0]));
+        }
+        return this.sorted[side];
+    }
+
+    // Each of these returns null while the book is not synced
+    bestBid() {
+        return this.synced ? toLevel(this.levels('bids')[0]) : null;
+    }
+
+    bestAsk() {
+        return this.synced ? toLevel(this.levels('asks')[0]) : null;
+    }
+
+    spread() {
+        const bid = this.bestBid();
+        const ask = this.bestAsk();
+        return bid && ask ? ask.price - bid.price : null;
+    }
+
+    // Cumulative amounts bid at or above, and asked at or below, the given price
+    depthAt(price) {
+        if (!this.synced) {
+            return null;
+        }
+
+        const total = (levels, include) => levels
+            .filter(([levelPrice]) => include(levelPrice))
+            .reduce((sum, [, amount]) => sum + amount, 0);
+
+        return {
+            bids: total(this.levels('bids'), levelPrice => levelPrice >= price),
+            asks: total(this.levels('asks'), levelPrice => levelPrice <= price)
+        };
+    }
+
+    // Average price to buy (walking the asks) or sell (walking the bids) the
+    // given amount, or null if the book is not deep enough to fill it or the
+    // amount is not positive
+    vwapFor(amount, side) {
+        if (!this.synced || !(amount > 0)) {
+            return null;
+        }
+
+        const levels = this.levels(side === 'buy' ? 'asks' : 'bids');
+        let remaining = amount;
+        let cost = 0;
+
+        for (const [price, levelAmount] of levels) {
+            const filled = Math.min(remaining, levelAmount);
+            cost += filled * price;
+            remaining -= filled;
+            if (remaining <= 0) {
+                return cost / amount;
+            }
+        }
+        return null;
+    }
+
+    _emitError(err) {
+        if (this.listenerCount('error')) {
+            this.emit('error', err);
+        } else {
+            d('error', err.message);
+        }
+    }
+}
+
+// An amount of zero removes the price level
+function applyLevels(book, levels = []) {
+    for (const [price, amount] of levels) {
+        if (Number(amount) === 0) {
+            book.delete(Number(price));
+        } else {
+            book.set(Number(price), Number(amount));
+        }
+    }
+}
+
+function toLevel(level) {
+    return level ? { price: level[0], amount: level[1] } : null;
+}
+
+module.exports = { LiveOrderBook };
@@ -0,0 +1,159 @@
+'use strict';
+const _ = require('lodash');
+const { InvalidOrderError } = require('./errors');
+const { maxDpStr } = require('./numbers');
+
+const defaultMarketInfoOptions = {
+    ttl: 60 * 60 * 1000
+};
+
+// Trading rules for every pair, merged from currency_limits (lot sizes and price
+// bounds) and currency_profile (precisions), cached for `ttl` milliseconds.
+class MarketInfo {
+
+    constructor(client, { ttl = defaultMarketInfoOptions.ttl } = {}) {
+        this.client = client;
+        this.ttl = ttl;
+        this.pairs = null;
+        this.loadedAt = 0;
+        this.loading = null;
+    }
+
+    async all() {
+        if (this.pairs && Date.now() - this.loadedAt < this.ttl) {
+            return this.pairs;
+        }
+        return this.refresh();
+    }
+
+    // Concurrent refreshes share one pair of requests
+    refresh() {
+        if (!this.loading) {
+            this.loading = this._load().then(pairs => {
+                this.pairs = pairs;
+                this.loadedAt = Date.now();
+                this.loading = null;
+                return pairs;
+            }, err => {
+                this.loading = null;
+                throw err;
+            });
+        }
+        return this.loading;
+    }
+
+    invalidate() {
+        this.pairs = null;
+    }
+
+    async pair(ccy1, ccy2) {
+        const info = (await this.all())[`${ ccy1 }:${ ccy2 }`];
+
+        if (!info) {
+            throw unknownPair(ccy1, ccy2);
+        }
+        return info;
+    }
+
+    // Checks a pair against market info that is already cached, without
+    // loading it: with nothing cached, or only an expired copy, every pair passes
+    check(ccy1, ccy2) {
+        if (this.pairs && Date.now() - this.loadedAt < this.ttl && !this.pairs[`${ ccy1 }:${ ccy2 }`]) {
+            throw unknownPair(ccy1, ccy2);
+        }
+    }
+
+    async _load() {
+        const [limits, profile] = await Promise.all([
+            this.client.currencyLimits(),
+            this.client.currencyProfile()
+        ]);
+
+        const precisions = _.fromPairs((profile.symbols || []).map(({ code, precision }) => [code, toNumber(precision)]));
+        const profiles = _.keyBy(profile.pairs || [], ({ symbol1, symbol2 }) => `${ symbol1 }:${ symbol2 }`);
+
+        return _.fromPairs(limits.pairs.map(limit => {
+            const { symbol1, symbol2 } = limit;
+            const pairProfile = profiles[`${ symbol1 }:${ symbol2 }`] || {};
+
+            return [`${ symbol1 }:${ symbol2 }`, {
+                symbol1,
+                symbol2,
+                minLotSize: toNumber(limit.minLotSize),
+                minLotSizeS2: toNumber(limit.minLotSizeS2),
+                maxLotSize: toNumber(limit.maxLotSize),
+                minPrice: toNumber(limit.minPrice),
+                maxPrice: toNumber(limit.maxPrice),
+                pricePrecision: withDefault(toNumber(pairProfile.pricePrecision), 8),
+                amountPrecision: withDefault(precisions[symbol1], 8),
+                counterPrecision: withDefault(precisions[symbol2], 8)
+            }];
+        }));
+    }
+}
+
+// Rounds an order's amount down and its price to the nearest legal increment,
+// and checks both against the pair's limits. Market buys are denominated in the
+// counter currency. Returns the formatted { amount, price }.
+function validateOrder(info, { type, orderType = 'limit', amount, price }, context) {
+    const { symbol1, symbol2 } = info;
+    const counter = orderType === 'market' && type === 'buy';
+    const [minLot, maxLot, lotCcy, dp] = counter
+        ? [info.minLotSizeS2, undefined, symbol2, info.counterPrecision]
+        : [info.minLotSize, info.maxLotSize, symbol1, info.amountPrecision];
+
+    const problems = [];
+    const result = { amount: maxDpStr(amount, dp, true) };
+    const amountVal = parseFloat(result.amount);
+
+    if (!(amountVal > 0)) {
+        problems.push('amount must be a positive number');
+    } else {
+        if (amountVal < minLot) {
+            problems.push(`amount ${ amountVal } ${ lotCcy } is below the minimum lot size of ${ minLot }`);
+        }
+        if (amountVal > maxLot) {
+            problems.push(`amount ${ amountVal } ${ lotCcy } is above the maximum lot size of ${ maxLot }`);
+        }
+    }
+
+    if (price !== undefined) {
+        result.price = maxDpStr(price, info.pricePrecision);
+        const priceVal = parseFloat(result.price);
+
+        if (!(priceVal > 0)) {
+            problems.push('price must be a positive number');
+        } else {
+            if (priceVal < info.minPrice) {
+                problems.push(`price ${ priceVal } is below the minimum price of ${ info.minPrice }`);
+            }
+            if (priceVal > info.maxPrice) {
+                problems.push(`price ${ priceVal } is above the maximum price of ${ info.maxPrice }`);
+            }
+        }
+    }
+
+    if (problems.length) {
+        throw new InvalidOrderError(
+            `Invalid ${ symbol1 }/${ symbol2 } order: ${ problems.join(', ') }`,
+            Object.assign({ data: info }, context)
+        );
+    }
+
+    return result;
+}
+
+function unknownPair(ccy1, ccy2) {
+    return new InvalidOrderError(`Unknown currency pair: ${ ccy1 }/${ ccy2 }`, { params: { ccy1, ccy2 } });
+}
+
+function toNumber(val) {
+    const num = parseFloat(val);
+    return num === num ? num : undefined;
+}
+
+function withDefault(val, fallback) {
+    return val === undefined ? fallback : val;
+}
+
+module.exports = { MarketInfo, validateOrder, defaultMarketInfoOptions };
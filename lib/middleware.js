@@ -0,0 +1,181 @@
+'use strict';
+const _ = require('lodash');
+const debug = require('debug');
+const d = debug('cexio:http');
+
+// Middleware is an object with any of these hooks, each called with the
+// attempt's context and awaited in the order the middleware was added:
+//
+//   beforeRequest(ctx)  ctx.request holds the options about to be sent, and may be changed
+//   afterResponse(ctx)  ctx.response holds the checked response body, and may be replaced
+//   onError(ctx)        ctx.error holds the error about to be thrown
+//
+// The context also has the client's `account` (if it was given one), the
+// `endpoint` ('ticker/BTC/USD'), its `name` ('ticker'), the rate limit
+// `bucket`, the `attempt` number (retries are new attempts), the request
+// `params` with secrets redacted, and, once it is known, the `duration` in
+// milliseconds. A hook that throws fails the attempt.
+const hooks = ['beforeRequest', 'afterResponse', 'onError'];
+
+async function runHooks(middleware, hook, ctx) {
+    for (const layer of middleware) {
+        if (typeof layer[hook] === 'function') {
+            await layer[hook](ctx);
+        }
+    }
+}
+
+function checkMiddleware(layer) {
+    if (!layer || !hooks.some(hook => typeof layer[hook] === 'function')) {
+        throw new Error(`Middleware needs at least one of ${ hooks.join(', ') }`);
+    }
+    return layer;
+}
+
+function endpointName(endpoint) {
+    return String(endpoint).split('/')[0];
+}
+
+// Structured logging of every attempt. `log` is called with a plain object for
+// each request, response and error; the key, signature and secret are never
+// included. By default each one goes to debug('cexio:http') as JSON.
+function requestLogger({ log = entry => d('%j', entry) } = {}) {
+    const base = ctx => _.omitBy({ account: ctx.account, endpoint: ctx.endpoint, attempt: ctx.attempt }, _.isUndefined);
+
+    return {
+        beforeRequest(ctx) {
+            log(Object.assign({ event: 'request', method: ctx.request.method || 'GET' }, base(ctx), { params: ctx.params }));
+        },
+        afterResponse(ctx) {
+            log(Object.assign({ event: 'response' }, base(ctx), { duration: ctx.duration }));
+        },
+        onError(ctx) {
+            log(Object.assign({ event: 'error' }, base(ctx), _.omitBy({
+                duration: ctx.duration,
+                error: ctx.error.name,
+                message: ctx.error.message,
+                status: ctx.error.status,
+                code: ctx.error.code
+            }, _.isUndefined)));
+        }
+    };
+}
+
+const defaultBuckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Request counts, errors by class and latency, per endpoint name. Add it to a
+// client with client.use(metrics), then read it with snapshot() or export it
+// in the Prometheus text format with toPrometheus().
+class Metrics {
+
+    constructor({ prefix = 'cexio', buckets = defaultBuckets } = {}) {
+        this.prefix = prefix;
+        this.buckets = _.sortBy(buckets);
+        this.reset();
+
+        this.afterResponse = ctx => this._record(ctx, 'ok');
+        this.onError = ctx => this._record(ctx, 'error');
+    }
+
+    reset() {
+        this.endpoints = new Map();
+    }
+
+    _record(ctx, outcome) {
+        if (!this.endpoints.has(ctx.name)) {
+            this.endpoints.set(ctx.name, {
+                ok: 0,
+                error: 0,
+                errors: {},
+                count: 0,
+                sum: 0,
+                min: Infinity,
+                max: 0,
+                buckets: this.buckets.map(() => 0)
+            });
+        }
+
+        const stats = this.endpoints.get(ctx.name);
+        stats[outcome]++;
+        if (ctx.error) {
+            stats.errors[ctx.error.name] = (stats.errors[ctx.error.name] || 0) + 1;
+        }
+
+        if (ctx.duration !== undefined) {
+            stats.count++;
+            stats.sum += ctx.duration;
+            stats.min = Math.min(stats.min, ctx.duration);
+            stats.max = Math.max(stats.max, ctx.duration);
+            this.buckets.forEach((le, i) => {
+                if (ctx.duration / 1000 <= le) {
+                    stats.buckets[i]++;
+                }
+            });
+        }
+    }
+
+    // { ticker: { ok, error, errors: { NetworkError: 1 }, latency: { count, mean, min, max } }, ... }
+    // with latencies in milliseconds
+    snapshot() {
+        const result = {};
+        for (const [name, stats] of this.endpoints) {
+            result[name] = {
+                ok: stats.ok,
+                error: stats.error,
+                errors: Object.assign({}, stats.errors),
+                latency: {
+                    count: stats.count,
+                    mean: stats.count ? stats.sum / stats.count : null,
+                    min: stats.count ? stats.min : null,
+                    max: stats.count ? stats.max : null
+                }
+            };
+        }
+        return result;
+    }
+
+    toPrometheus() {
+        const requests = `${ this.prefix }_requests_total`;
+        const errors = `${ this.prefix }_errors_total`;
+        const duration = `${ this.prefix }_request_duration_seconds`;
+        const names = _.sortBy(Array.from(this.endpoints.keys()));
+        const lines = [];
+
+        lines.push(`# HELP ${ requests } Requests sent to CEX.io, by endpoint and outcome`);
+        lines.push(`# TYPE ${ requests } counter`);
+        for (const name of names) {
+            const stats = this.endpoints.get(name);
+            lines.push(`${ requests }${ labels({ endpoint: name, outcome: 'ok' }) } ${ stats.ok }`);
+            lines.push(`${ requests }${ labels({ endpoint: name, outcome: 'error' }) } ${ stats.error }`);
+        }
+
+        lines.push(`# HELP ${ errors } Failed requests, by endpoint and error class`);
+        lines.push(`# TYPE ${ errors } counter`);
+        for (const name of names) {
+            _.forEach(this.endpoints.get(name).errors, (count, error) => {
+                lines.push(`${ errors }${ labels({ endpoint: name, error }) } ${ count }`);
+            });
+        }
+
+        lines.push(`# HELP ${ duration } Time taken by each request to CEX.io`);
+        lines.push(`# TYPE ${ duration } histogram`);
+        for (const name of names) {
+            const stats = this.endpoints.get(name);
+            this.buckets.forEach((le, i) => {
+                lines.push(`${ duration }_bucket${ labels({ endpoint: name, le }) } ${ stats.buckets[i] }`);
+            });
+            lines.push(`${ duration }_bucket${ labels({ endpoint: name, le: '+Inf' }) } ${ stats.count }`);
+            lines.push(`${ duration }_sum${ labels({ endpoint: name }) } ${ stats.sum / 1000 }`);
+            lines.push(`${ duration }_count${ labels({ endpoint: name }) } ${ stats.count }`);
+        }
+
+        return `${ lines.join('\n') }\n`;
+    }
+}
+
+function labels(values) {
+    const pairs = _.map(values, (value, name) => `${ name }="${ String(value).replace(/[\\"\n]/g, c => c === '\n' ? '\\n' : `\\${ c }`) }"`);
+    return `{${ pairs.join(',') }}`;
+}
+
+module.exports = { Metrics, requestLogger, runHooks, checkMiddleware, endpointName };
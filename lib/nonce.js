@@ -0,0 +1,99 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const open = promisify(fs.open);
+const close = promisify(fs.close);
+const stat = promisify(fs.stat);
+const unlink = promisify(fs.unlink);
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const rename = promisify(fs.rename);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Millisecond timestamps, bumped by one whenever the clock has not moved on
+function nextNonce(last) {
+    return Math.max(Date.now(), last + 1);
+}
+
+// Strictly increasing nonces for a single client in a single process
+class MemoryNonceStore {
+    constructor() {
+        this.last = 0;
+    }
+
+    async next() {
+        this.last = nextNonce(this.last);
+        return this.last;
+    }
+}
+
+// Shares the last nonce through a file so that several processes can use the
+// same API key. A lock file created with O_EXCL serialises access; locks left
+// behind by a crashed process are removed once older than staleTimeout.
+class FileNonceStore {
+    constructor(file, { lockTimeout = 5000, staleTimeout = 10000, retryInterval = 5 } = {}) {
+        this.file = path.resolve(file);
+        this.lockFile = `${ this.file }.lock`;
+        this.lockTimeout = lockTimeout;
+        this.staleTimeout = staleTimeout;
+        this.retryInterval = retryInterval;
+    }
+
+    async next() {
+        await this.lock();
+        try {
+            const nonce = nextNonce(await this.read());
+            const tmpFile = `${ this.file }.${ process.pid }.tmp`;
+            await writeFile(tmpFile, String(nonce));
+            await rename(tmpFile, this.file);
+            return nonce;
+        } finally {
+            await unlink(this.lockFile);
+        }
+    }
+
+    async read() {
+        try {
+            return parseInt(await readFile(this.file, 'utf8'), 10) || 0;
+        } catch (e) {
+            if (e.code === 'ENOENT') { return 0; }
+            throw e;
+        }
+    }
+
+    async lock() {
+        const deadline = Date.now() + this.lockTimeout;
+
+        for (;;) {
+            try {
+                await close(await open(this.lockFile, 'wx'));
+                return;
+            } catch (e) {
+                if (e.code !== 'EEXIST') { throw e; }
+            }
+
+            await this.removeStaleLock();
+
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for nonce lock ${ this.lockFile }`);
+            }
+            await sleep(this.retryInterval);
+        }
+    }
+
+    async removeStaleLock() {
+        try {
+            const { mtime } = await stat(this.lockFile);
+            if (Date.now() - mtime.getTime() > this.staleTimeout) {
+                await unlink(this.lockFile);
+            }
+        } catch (e) {
+            if (e.code !== 'ENOENT') { throw e; }
+        }
+    }
+}
+
+module.exports = { MemoryNonceStore, FileNonceStore, nextNonce };
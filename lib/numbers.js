@@ -0,0 +1,102 @@
+'use strict';
+const _ = require('lodash');
+const sprintf = require('qprintf').sprintf;
+
+const NUMERIC = /^(-?)(\d+)(?:\.(\d+))?$/;
+
+// IDs, addresses and timestamps are passed through exactly as CEX.io sent them
+const defaultRawFields = [
+    'id',
+    'order',
+    'oorder',
+    'user',
+    'tid',
+    'address',
+    'time',
+    'date',
+    'timestamp',
+    'otime',
+    'ctime',
+    'lastTxTime',
+    'tmsp'
+];
+
+function createParser({ numbers = 'float', decimal, rawFields = defaultRawFields } = {}) {
+    let convert;
+    if (numbers === 'float') {
+        convert = val => typeof val === 'number' ? val : parseFloat(val);
+    } else if (numbers === 'string') {
+        convert = String;
+    } else if (numbers === 'decimal') {
+        if (typeof decimal !== 'function') {
+            throw new Error('numbers: \'decimal\' requires a decimal factory function');
+        }
+        convert = val => decimal(String(val));
+    } else {
+        throw new Error(`Invalid numbers option: ${ numbers }`);
+    }
+
+    const raw = new Set(rawFields);
+
+    function parse(val, key) {
+        if (key !== undefined && raw.has(key)) {
+            return val;
+        } else if (_.isArray(val)) {
+            return val.map(item => parse(item));
+        } else if (_.isPlainObject(val)) {
+            return _.mapValues(val, parse);
+        } else if (typeof val === 'number' || (typeof val === 'string' && NUMERIC.test(val))) {
+            return convert(val);
+        }
+        return val;
+    }
+
+    return val => parse(val);
+}
+
+// Formats a number, numeric string or decimal (anything with toFixed) to dp places,
+// rounding half up or, with truncate, towards zero. Strings are rounded digit by
+// digit so that no precision is lost through floats.
+function maxDpStr(val = '', dp = 8, truncate = false) {
+    if (typeof val === 'number') {
+        if (val !== val) { return String(val); } // NaN
+        if (truncate) {
+            // the epsilon stops 0.29 * 100 = 28.999999999999996 truncating to 0.28
+            const factor = Math.pow(10, dp);
+            val = Math.trunc(val * factor + Math.sign(val) * 1e-6) / factor;
+        }
+        return sprintf(`%.${ dp }f`, val);
+    }
+    if (val && typeof val.toFixed === 'function') {
+        if (!truncate) { return val.toFixed(dp); }
+        val = val.toFixed(); // decimal libraries disagree on rounding modes, so use the string path
+    }
+
+    const match = NUMERIC.exec(val);
+    if (!match) { return val; }
+
+    const [, sign, int, frac = ''] = match;
+    let digits = int + _.padEnd(frac, dp, '0').slice(0, dp);
+    if (!truncate && frac.length > dp && frac[dp] >= '5') {
+        digits = incrementDigits(digits);
+    }
+
+    const intDigits = digits.slice(0, digits.length - dp);
+    return sign + intDigits + (dp ? `.${ digits.slice(intDigits.length) }` : '');
+}
+
+function incrementDigits(digits) {
+    const result = digits.split('');
+    let i = result.length - 1;
+    while (i >= 0 && result[i] === '9') {
+        result[i--] = '0';
+    }
+    if (i < 0) {
+        result.unshift('1');
+    } else {
+        result[i] = String(Number(result[i]) + 1);
+    }
+    return result.join('');
+}
+
+module.exports = { createParser, maxDpStr, defaultRawFields };
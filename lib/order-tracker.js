@@ -0,0 +1,233 @@
+'use strict';
+const EventEmitter = require('events');
+const debug = require('debug');
+const d = debug('cexio:orders');
+const { CexioApiError, NetworkError } = require('./errors');
+const { shouldRetry } = require('./retry');
+
+// get_order statuses: 'a' active, 'd' done, 'c' cancelled, 'cd' cancelled after a partial fill
+const cancelledStatuses = ['c', 'cd'];
+
+// Watches a set of orders and emits 'partialFill', 'filled' and 'cancelled' as
+// they change. active_orders_status is polled to spot which orders moved, and
+// only those are fetched in full with get_order. With a stream, 'order' events
+// trigger an immediate check so that fills are seen without waiting for a poll.
+// An order that get_order rejects for good (e.g. 'Order not found') is untracked
+// and emitted as 'failed' with { id, error }.
+class OrderTracker extends EventEmitter {
+
+    constructor({ client, stream, interval = 2000 }) {
+        super();
+
+        this.client = client;
+        this.stream = stream;
+        this.interval = interval;
+
+        this.orders = new Map();
+        this.timer = null;
+        this.polling = null;
+
+        this._onOrder = this._onOrder.bind(this);
+        if (stream) {
+            stream.on('order', this._onOrder);
+        }
+    }
+
+    track(id) {
+        id = String(id);
+        if (!this.orders.has(id)) {
+            this.orders.set(id, null);
+            this._schedule(0);
+        }
+        return this;
+    }
+
+    untrack(id) {
+        this.orders.delete(String(id));
+        if (!this.orders.size) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        return this;
+    }
+
+    stop() {
+        this.orders.clear();
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.stream) {
+            this.stream.removeListener('order', this._onOrder);
+        }
+    }
+
+    // Resolves with the final state once the order is filled or cancelled, and
+    // rejects if it fails
+    awaitOrder(id, { timeout } = {}) {
+        id = String(id);
+
+        return new Promise((resolve, reject) => {
+            let timer;
+
+            const done = state => {
+                if (state.id !== id) {
+                    return;
+                }
+                cleanup();
+                resolve(state);
+            };
+            const failed = ({ id: failedId, error }) => {
+                if (failedId !== id) {
+                    return;
+                }
+                cleanup();
+                reject(error);
+            };
+            const cleanup = () => {
+                clearTimeout(timer);
+                this.removeListener('filled', done);
+                this.removeListener('cancelled', done);
+                this.removeListener('failed', failed);
+            };
+
+            this.on('filled', done);
+            this.on('cancelled', done);
+            this.on('failed', failed);
+
+            if (timeout !== undefined) {
+                timer = setTimeout(() => {
+                    cleanup();
+                    reject(new Error(`Timed out waiting for order ${ id } after ${ timeout }ms`));
+                }, timeout);
+            }
+
+            this.track(id);
+        });
+    }
+
+    // Polls never overlap: asking for one while another is running returns the running one
+    poll() {
+        if (!this.polling) {
+            this.polling = this._poll().then(() => {
+                this.polling = null;
+            }, err => {
+                this.polling = null;
+                this._emitError(err);
+            });
+        }
+        return this.polling;
+    }
+
+    async _poll() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const ids = Array.from(this.orders.keys());
+        if (!ids.length) {
+            return;
+        }
+
+        try {
+            const rows = await this.client.activeOrdersStatus(ids);
+            const active = new Map(rows.map(([id, , remains]) => [String(id), Number(remains)]));
+
+            for (const id of ids) {
+                const state = this.orders.get(id);
+                const remains = active.get(id);
+
+                // still open and nothing has been filled since last time
+                if (state && remains > 0 && remains === state.remains) {
+                    continue;
+                }
+                await this._check(id);
+            }
+        } finally {
+            this._schedule(this.interval);
+        }
+    }
+
+    async _check(id) {
+        let order;
+        try {
+            order = await this.client.getOrder(id);
+        } catch (err) {
+            // transient failures are tried again by the next poll
+            const transient = err instanceof NetworkError || shouldRetry(err, 'safe');
+            if (!(err instanceof CexioApiError) || transient || !this.orders.has(id)) {
+                throw err;
+            }
+            d('order %s failed: %s', id, err.message);
+            this.untrack(id);
+            this.emit('failed', { id, error: err });
+            return;
+        }
+
+        if (this.orders.has(id)) {
+            this._update(id, order);
+        }
+    }
+
+    _update(id, order) {
+        const previous = this.orders.get(id);
+        const amount = Number(order.amount);
+        const remains = Number(order.remains);
+        const filled = amount - remains;
+
+        const state = {
+            id,
+            status: order.status === 'd' ? 'filled' : cancelledStatuses.includes(order.status) ? 'cancelled' : 'active',
+            amount,
+            remains,
+            filled,
+            averagePrice: averagePrice(order, filled),
+            order
+        };
+
+        this.orders.set(id, state);
+        d('order %s is %s with %d remaining', id, state.status, remains);
+
+        if (state.status !== 'active') {
+            this.untrack(id);
+            this.emit(state.status, state);
+        } else if (filled > 0 && (!previous || remains < previous.remains)) {
+            this.emit('partialFill', state);
+        }
+    }
+
+    _onOrder(data) {
+        const id = data && data.id !== undefined ? String(data.id) : null;
+
+        if (id && this.orders.has(id)) {
+            this._check(id).catch(err => this._emitError(err));
+        }
+    }
+
+    _schedule(delay) {
+        if (this.orders.size && !this.timer) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.poll();
+            }, delay);
+        }
+    }
+
+    _emitError(err) {
+        if (this.listenerCount('error')) {
+            this.emit('error', err);
+        } else {
+            d('error', err.message);
+        }
+    }
+}
+
+// get_order reports the counter currency spent or received as maker ('ta:USD')
+// and as taker ('tta:USD')
+function averagePrice(order, filled) {
+    if (!(filled > 0) || !order.symbol2) {
+        return null;
+    }
+
+    const total = Number(order[`ta:${ order.symbol2 }`] || 0) + Number(order[`tta:${ order.symbol2 }`] || 0);
+    return total ? total / filled : null;
+}
+
+module.exports = { OrderTracker };
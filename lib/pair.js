@@ -0,0 +1,180 @@
+'use strict';
+const _ = require('lodash');
+
+const pairPattern = /^([A-Za-z0-9]+)[/:]([A-Za-z0-9]+)$/;
+const symbolPattern = /^[A-Za-z0-9]+$/;
+
+// A currency pair, written 'BTC/USD' (or 'BTC:USD', the way CEX.io keys pairs)
+// or given as { base, quote }
+class Pair {
+
+    constructor(base, quote) {
+        if (!isSymbol(base) || !isSymbol(quote)) {
+            throw new Error(`Invalid currency pair: ${ base }/${ quote }`);
+        }
+
+        this.base = base.toUpperCase();
+        this.quote = quote.toUpperCase();
+    }
+
+    static from(value) {
+        if (value instanceof Pair) {
+            return value;
+        }
+        if (_.isPlainObject(value)) {
+            return new Pair(value.base, value.quote);
+        }
+
+        const match = pairPattern.exec(value);
+        if (!match) {
+            throw new Error(`Pairs are written like BTC/USD, not ${ value }`);
+        }
+        return new Pair(match[1], match[2]);
+    }
+
+    // 'BTC:USD', as market info, tickers and fees are keyed
+    get key() {
+        return `${ this.base }:${ this.quote }`;
+    }
+
+    toString() {
+        return `${ this.base }/${ this.quote }`;
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+}
+
+function isSymbol(value) {
+    return typeof value === 'string' && symbolPattern.test(value);
+}
+
+// Whether a ccy1 argument is really a whole pair
+function isPairLike(value) {
+    return value instanceof Pair || _.isPlainObject(value) || (typeof value === 'string' && /[/:]/.test(value));
+}
+
+// Methods take either a whole pair in place of ccy1, or ccy1 and ccy2, each
+// falling back to the defaults' (usually the client's) ccy1 and ccy2
+function resolvePair(ccy1, ccy2, defaults = {}) {
+    if (isPairLike(ccy1)) {
+        return Pair.from(ccy1);
+    }
+
+    const base = ccy1 || defaults.ccy1;
+    const quote = ccy2 || defaults.ccy2;
+
+    if (!base || !quote) {
+        throw new Error('No currency pair given, and no default ccy1 and ccy2 are set');
+    }
+    return new Pair(base, quote);
+}
+
+// The pair-specific methods of a client, bound to one pair and without currency
+// arguments: client.pair('BTC/EUR').orderBook(10). Each call first checks the
+// pair against the client's cached market info, so a pair CEX.io does not list
+// fails with an InvalidOrderError before anything is sent.
+class PairView {
+
+    constructor(client, pair) {
+        this.client = client;
+        this.pair = Pair.from(pair);
+    }
+
+    // Trading rules for the pair
+    market() {
+        return this.client.marketInfo.pair(this.pair.base, this.pair.quote);
+    }
+
+    async _call(method, ...args) {
+        await this.market();
+        return this.client[method](...args);
+    }
+
+    _options(options) {
+        return Object.assign({}, options, { pair: this.pair });
+    }
+
+    ticker() {
+        return this._call('ticker', this.pair);
+    }
+
+    lastPrice() {
+        return this._call('lastPrice', this.pair);
+    }
+
+    convert(amount) {
+        return this._call('convert', amount, this.pair);
+    }
+
+    priceStats(lastHours, maxItems) {
+        return this._call('priceStats', lastHours, maxItems, this.pair);
+    }
+
+    ohlcv(range) {
+        return _.isPlainObject(range)
+            ? this._call('ohlcv', this._options(range))
+            : this._call('ohlcv', range, this.pair);
+    }
+
+    tradeHistory(options) {
+        return this._call('tradeHistory', this._options(options));
+    }
+
+    async *tradeHistoryIterator(options) {
+        await this.market();
+        yield* this.client.tradeHistoryIterator(this._options(options));
+    }
+
+    orderBook(depth) {
+        return this._call('orderBook', depth, this.pair);
+    }
+
+    openOrders() {
+        return this._call('openOrders', this.pair);
+    }
+
+    placeOrder(order) {
+        return this._call('placeOrder', this._options(order));
+    }
+
+    cancelReplaceOrder(id, order) {
+        return this._call('cancelReplaceOrder', id, this._options(order));
+    }
+
+    cancelAllOrders() {
+        return this._call('cancelAllOrders', this.pair);
+    }
+
+    archivedOrders(options) {
+        return this._call('archivedOrders', this._options(options));
+    }
+
+    async *archivedOrdersIterator(options) {
+        await this.market();
+        yield* this.client.archivedOrdersIterator(this._options(options));
+    }
+
+    openPosition(options) {
+        return this._call('openPosition', this._options(options));
+    }
+
+    openPositions() {
+        return this._call('openPositions', this.pair);
+    }
+
+    closePosition(id) {
+        return this._call('closePosition', id, this.pair);
+    }
+
+    archivedPositions(options) {
+        return this._call('archivedPositions', this._options(options));
+    }
+
+    getMarginalFee() {
+        return this._call('getMarginalFee', this.pair);
+    }
+}
+
+module.exports = { Pair, PairView, isPairLike, resolvePair };
@@ -0,0 +1,139 @@
+'use strict';
+const _ = require('lodash');
+const { createParser, maxDpStr } = require('./numbers');
+
+// Environment variables for an account. With no account they are the plain
+// CEXIO_CLIENT_ID, CEXIO_KEY, ... ; for account 'main' they are
+// CEXIO_MAIN_CLIENT_ID, CEXIO_MAIN_KEY, ... Credentials never fall back to
+// the plain variables, but an account's pair does.
+function accountEnv(account, env = process.env) {
+    const prefix = account ? `CEXIO_${ envName(account) }_` : 'CEXIO_';
+
+    return {
+        clientId: env[`${ prefix }CLIENT_ID`],
+        key: env[`${ prefix }KEY`],
+        secret: env[`${ prefix }SECRET`],
+        ccy1: env[`${ prefix }CCY_1`] || env.CEXIO_CCY_1,
+        ccy2: env[`${ prefix }CCY_2`] || env.CEXIO_CCY_2
+    };
+}
+
+function envName(account) {
+    return String(account).toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+// Named accounts in one process, each with its own client, and so its own
+// credentials, nonce sequence and rate limit buckets. `defaults` are options
+// shared by every account's client; an account's own options win. Balance
+// totals are parsed with `parse`, by default following the numbers, decimal and
+// rawFields in `defaults`.
+class AccountPool {
+
+    constructor(accounts = {}, {
+        defaults = {},
+        createClient,
+        parse = createParser(_.pick(defaults, ['numbers', 'decimal', 'rawFields']))
+    } = {}) {
+        if (defaults.nonceStore) {
+            throw new Error('Accounts cannot share a nonce store; give each account its own');
+        }
+
+        this.defaults = defaults;
+        this.createClient = createClient;
+        this.parse = parse;
+        this.clients = new Map();
+
+        _.forEach(accounts, (options, name) => this.add(name, options));
+    }
+
+    // Accounts named in `names`, or in CEXIO_ACCOUNTS ('main,hedge'), with
+    // credentials from their namespaced environment variables
+    static fromEnv({ names, env = process.env, defaults, createClient, parse } = {}) {
+        names = names || _.compact(String(env.CEXIO_ACCOUNTS || '').split(',').map(_.trim));
+        if (!names.length) {
+            throw new Error('No accounts given, and CEXIO_ACCOUNTS is not set');
+        }
+
+        const accounts = _.fromPairs(names.map(name => {
+            const options = accountEnv(name, env);
+            if (!options.key || !options.secret || !options.clientId) {
+                const prefix = `CEXIO_${ envName(name) }_`;
+                throw new Error(`No credentials for account ${ name }: set ${ prefix }CLIENT_ID, ${ prefix }KEY and ${ prefix }SECRET`);
+            }
+            return [name, Object.assign({ account: name }, _.omitBy(options, _.isUndefined))];
+        }));
+
+        return new this(accounts, { defaults, createClient, parse });
+    }
+
+    add(name, options = {}) {
+        if (this.clients.has(name)) {
+            throw new Error(`Account ${ name } is already in the pool`);
+        }
+
+        const client = this.createClient(Object.assign({}, this.defaults, { account: name }, options));
+        this.clients.set(name, client);
+        return client;
+    }
+
+    remove(name) {
+        return this.clients.delete(name);
+    }
+
+    account(name) {
+        const client = this.clients.get(name);
+        if (!client) {
+            throw new Error(`Unknown account: ${ name }`);
+        }
+        return client;
+    }
+
+    names() {
+        return Array.from(this.clients.keys());
+    }
+
+    // Calls fn(client, name) for every account at once, resolving with the
+    // results keyed by account. A failure rejects with the account's name on
+    // the error as `account`.
+    async map(fn) {
+        const names = this.names();
+        const results = await Promise.all(names.map(name => {
+            return Promise.resolve()
+                .then(() => fn(this.clients.get(name), name))
+                .catch(err => {
+                    err.account = name;
+                    throw err;
+                });
+        }));
+
+        return _.zipObject(names, results);
+    }
+
+    // Every account's balance, and the total of each currency across them:
+    // { accounts: { main: { BTC: { available, orders }, ... }, ... }, total: { BTC: { available, orders }, ... } }
+    async balance() {
+        const accounts = await this.map(client => client.balance());
+        const sums = {};
+
+        _.forEach(accounts, balance => {
+            _.forEach(_.omit(balance, ['timestamp', 'username']), (amounts, currency) => {
+                const sum = sums[currency] || (sums[currency] = { available: 0, orders: 0 });
+                sum.available += Number(String(amounts.available || 0));
+                sum.orders += Number(String(amounts.orders || 0));
+            });
+        });
+
+        const total = _.mapValues(sums, ({ available, orders }) => this.parse({
+            available: maxDpStr(available, 8),
+            orders: maxDpStr(orders, 8)
+        }));
+
+        return { accounts, total };
+    }
+
+    get size() {
+        return this.clients.size;
+    }
+}
+
+module.exports = { AccountPool, accountEnv };
@@ -0,0 +1,44 @@
+'use strict';
+const { createParser, maxDpStr } = require('./numbers');
+
+// CEX.io describes margin positions slightly differently depending on the
+// endpoint (open_position nests the pair, get_position and open_positions flatten
+// it), so they are all brought into one shape. The raw, parsed position is kept
+// under `raw` for the fee and loan fields. The PnL is rounded to the counter
+// currency's precision before it is parsed, so that no float error gets into
+// strings or decimals.
+function normalizePosition(raw, lastPrice = null, parse = createParser(), counterPrecision = 8) {
+    const pair = positionPair(raw);
+    const [symbol1, symbol2] = pair.split(':');
+    const amount = raw.pamount !== undefined ? raw.pamount : raw.amount;
+
+    return {
+        id: raw.id,
+        pair,
+        symbol1,
+        symbol2,
+        ptype: raw.ptype,
+        amount,
+        openPrice: raw.oprice,
+        stopLossPrice: raw.stopLossPrice,
+        leverage: raw.leverage,
+        openTime: raw.otime,
+        status: raw.status,
+        lastPrice,
+        pnl: lastPrice === null ? null : parse(maxDpStr(profit(raw.ptype, amount, raw.oprice, lastPrice), counterPrecision)),
+        raw
+    };
+}
+
+// 'BTC:USD', whether the pair came as a string or as { symbol1, symbol2 }
+function positionPair(raw) {
+    return typeof raw.pair === 'string' ? raw.pair : `${ raw.pair.symbol1 }:${ raw.pair.symbol2 }`;
+}
+
+// Unrealised profit or loss in the quote currency, before fees
+function profit(ptype, amount, openPrice, lastPrice) {
+    const change = Number(lastPrice) - Number(openPrice);
+    return (ptype === 'short' ? -change : change) * Number(amount);
+}
+
+module.exports = { normalizePosition, positionPair, profit };
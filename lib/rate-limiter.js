@@ -0,0 +1,123 @@
+'use strict';
+const { AbortError } = require('./errors');
+
+const lanes = ['high', 'normal', 'low'];
+
+// Cancellations jump the queue; polling market data waits behind everything else
+const defaultPriorities = {
+    cancel_order: 'high',
+    cancel_orders: 'high',
+    ticker: 'low',
+    last_price: 'low',
+    order_book: 'low',
+    currency_limits: 'low'
+};
+
+// A token bucket holding up to `burst` tokens, refilled at `perMinute`
+class TokenBucket {
+    constructor(perMinute, burst = perMinute) {
+        this.perMs = perMinute / 60000;
+        this.burst = burst;
+        this.tokens = burst;
+        this.updated = Date.now();
+        this.queues = { high: [], normal: [], low: [] };
+        this.timer = null;
+    }
+
+    // Aborting `signal` takes a waiting call out of the queue
+    take(priority, signal, context) {
+        return new Promise((resolve, reject) => {
+            const queue = this.queues[priority];
+
+            const onAbort = () => {
+                const index = queue.indexOf(grant);
+                if (index !== -1) {
+                    queue.splice(index, 1);
+                }
+                reject(new AbortError(undefined, context));
+            };
+            const grant = () => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            };
+
+            if (signal) {
+                if (signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                signal.addEventListener('abort', onAbort);
+            }
+
+            queue.push(grant);
+            this.drain();
+        });
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.updated) * this.perMs);
+        this.updated = now;
+    }
+
+    queued() {
+        return lanes.reduce((total, lane) => total + this.queues[lane].length, 0);
+    }
+
+    drain() {
+        this.refill();
+
+        while (this.tokens >= 1 && this.queued()) {
+            this.tokens--;
+            const lane = lanes.find(name => this.queues[name].length);
+            this.queues[lane].shift()();
+        }
+
+        if (this.queued() && !this.timer) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.drain();
+            }, Math.ceil((1 - this.tokens) / this.perMs));
+        }
+    }
+
+    stats() {
+        this.refill();
+        return {
+            tokens: Math.floor(this.tokens),
+            queued: this.queued(),
+            lanes: { high: this.queues.high.length, normal: this.queues.normal.length, low: this.queues.low.length }
+        };
+    }
+}
+
+// Separate buckets for public and private calls, each in requests per minute
+class RateLimiter {
+    constructor({ public: publicRate = 60, private: privateRate = 60, burst, priorities = {} } = {}) {
+        this.buckets = {
+            public: new TokenBucket(publicRate, burst),
+            private: new TokenBucket(privateRate, burst)
+        };
+        this.priorities = Object.assign({}, defaultPriorities, priorities);
+    }
+
+    priority(endpoint) {
+        const priority = this.priorities[String(endpoint).split('/')[0]];
+        return lanes.includes(priority) ? priority : 'normal';
+    }
+
+    take(bucket, endpoint, signal) {
+        return this.buckets[bucket].take(this.priority(endpoint), signal, { endpoint });
+    }
+
+    stats() {
+        return {
+            public: this.buckets.public.stats(),
+            private: this.buckets.private.stats()
+        };
+    }
+}
+
+module.exports = { RateLimiter, TokenBucket, defaultPriorities };
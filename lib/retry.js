@@ -0,0 +1,113 @@
+'use strict';
+const { RateLimitError, NonceError, AbortError } = require('./errors');
+
+const defaultRetryOptions = {
+    retries: 10,
+    factor: 2,
+    minTimeout: 500,
+    maxTimeout: 10000,
+    rateLimitTimeout: 5000,
+    policies: {},
+    onRetry: undefined
+};
+
+// Calls that change account state. Replaying one of these after a timeout or a
+// dropped connection could execute it twice, so they are only retried when the
+// request provably never left this machine.
+const mutatingEndpoints = [
+    'place_order',
+    'cancel_order',
+    'cancel_orders',
+    'cancel_replace_order',
+    'open_position',
+    'close_position',
+    'convert'
+];
+
+// errors raised before the request could have been sent
+const unsentCodes = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+const transientCodes = unsentCodes.concat([
+    'ECONNRESET',
+    'ETIMEDOUT',
+    'ESOCKETTIMEDOUT',
+    'ECONNABORTED',
+    'EPIPE',
+    'EHOSTUNREACH',
+    'ENETUNREACH'
+]);
+
+// 'safe': retry any transient failure, 'unsent': retry only if nothing was sent, 'never'
+function retryPolicy(endpoint, policies = {}) {
+    const name = String(endpoint).split('/')[0];
+    if (policies[name]) {
+        return policies[name];
+    }
+    return mutatingEndpoints.includes(name) ? 'unsent' : 'safe';
+}
+
+function shouldRetry(err, policy) {
+    if (policy === 'never') {
+        return false;
+    }
+    // a rejected nonce means nothing was executed, and each attempt is re-signed
+    if (err instanceof NonceError) {
+        return true;
+    }
+    if (policy === 'unsent') {
+        return unsentCodes.includes(err.code);
+    }
+    return transientCodes.includes(err.code) || err.status >= 500 || err instanceof RateLimitError;
+}
+
+function backoff(attempt, err, { factor, minTimeout, maxTimeout, rateLimitTimeout }) {
+    if (err instanceof NonceError) {
+        return 0;
+    }
+    const delay = Math.min(minTimeout * Math.pow(factor, attempt - 1), maxTimeout);
+    return err instanceof RateLimitError ? Math.max(delay, rateLimitTimeout) : delay;
+}
+
+// Aborting `signal` stops any further attempts, including during a backoff
+async function withRetry(attempt, endpoint, options, signal) {
+    const policy = retryPolicy(endpoint, options.policies);
+
+    for (let attemptNumber = 1; ; attemptNumber++) {
+        if (signal && signal.aborted) {
+            throw new AbortError(undefined, { endpoint });
+        }
+
+        try {
+            return await attempt(attemptNumber);
+        } catch (err) {
+            if (attemptNumber > options.retries || !shouldRetry(err, policy)) {
+                throw err;
+            }
+
+            const delay = backoff(attemptNumber, err, options);
+            if (options.onRetry) {
+                options.onRetry(err, { attempt: attemptNumber, delay, endpoint });
+            }
+
+            await sleep(delay, signal);
+        }
+    }
+}
+
+function sleep(delay, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(done, delay);
+        function done() {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', done);
+            }
+            resolve();
+        }
+        if (signal) {
+            signal.addEventListener('abort', done);
+        }
+    });
+}
+
+module.exports = { defaultRetryOptions, retryPolicy, shouldRetry, backoff, withRetry };
@@ -0,0 +1,575 @@
+'use strict';
+const _ = require('lodash');
+const debug = require('debug');
+const d = debug('cexio:simulator');
+const querystring = require('querystring');
+const { maxDpStr } = require('./numbers');
+const { profit } = require('./position');
+
+const defaultFees = {
+    // percent, as get_myfee reports them
+    maker: 0.16,
+    taker: 0.25
+};
+
+const round = val => Math.round(val * 1e8) / 1e8;
+const fmt = val => maxDpStr(round(val), 8);
+
+// A paper trading stand-in for CEX.io, used as the `req` of a client. Private
+// calls are answered from virtual balances, orders and positions; orders are
+// matched against order book snapshots, either recorded ones given up front or
+// set later with setOrderBook(), or live ones fetched through `req`. Other
+// public calls are passed through to `req` unchanged.
+//
+// Limit orders take what liquidity they can when placed and rest for the
+// remainder, filling at their own price once a later snapshot (one with a new
+// id) crosses it. Snapshots are not depleted by simulated fills. Positions
+// open and close at the touch with no interest, stop losses or liquidation.
+class SimulatedExchange {
+
+    constructor({ balances = {}, fees = {}, orderBooks = {}, req } = {}) {
+        this.fees = Object.assign({}, defaultFees, fees);
+        this.orderBooks = orderBooks;
+        this.marketReq = req;
+
+        this.balances = new Map();
+        _.forEach(balances, (amount, currency) => {
+            this.balances.set(currency, { available: Number(amount), orders: 0 });
+        });
+
+        this.orders = new Map();
+        this.positions = new Map();
+        this.nextId = 1;
+
+        this.req = this.req.bind(this);
+    }
+
+    setOrderBook(ccy1, ccy2, snapshot) {
+        if (typeof this.orderBooks === 'function') {
+            throw new Error('setOrderBook() cannot be used with an orderBooks function');
+        }
+        this.orderBooks[`${ ccy1 }:${ ccy2 }`] = snapshot;
+    }
+
+    async req(options) {
+        const [endpoint, ccy1, ccy2] = options.url.split('/').filter(Boolean);
+
+        if (options.method !== 'POST') {
+            return this._public(options, endpoint, ccy1, ccy2);
+        }
+
+        const params = querystring.parse(options.body || '');
+        d('%s %j', options.url, _.omit(params, ['key', 'signature', 'nonce']));
+
+        await this.match(options);
+
+        try {
+            return await this._private(options, endpoint, ccy1, ccy2, params);
+        } catch (err) {
+            if (err instanceof SimulatedError) {
+                return { error: err.message };
+            }
+            throw err;
+        }
+    }
+
+    // Fills any resting orders that the current order books cross
+    async match(options = {}) {
+        const active = Array.from(this.orders.values()).filter(order => order.status === 'a');
+
+        for (const [pair, orders] of _.toPairs(_.groupBy(active, 'pair'))) {
+            const [ccy1, ccy2] = pair.split(':');
+            const book = await this._book(ccy1, ccy2, options);
+
+            for (const order of orders) {
+                this._fillResting(order, book);
+            }
+        }
+    }
+
+    async _public(options, endpoint, ccy1, ccy2) {
+        const recorded = ccy1 && ccy2 && this._recordedBook(ccy1, ccy2);
+
+        if (recorded && endpoint === 'order_book') {
+            return recorded;
+        }
+        if (recorded && endpoint === 'last_price') {
+            const [bid] = levels(recorded.bids);
+            const [ask] = levels(recorded.asks);
+            const price = bid && ask ? (bid[0] + ask[0]) / 2 : (bid || ask)[0];
+            return { curr1: ccy1, curr2: ccy2, lprice: String(price) };
+        }
+        if (!this.marketReq) {
+            throw new Error(`The simulated exchange has no market data for ${ options.url }`);
+        }
+        return this.marketReq(options);
+    }
+
+    _recordedBook(ccy1, ccy2) {
+        return typeof this.orderBooks === 'function'
+            ? this.orderBooks(ccy1, ccy2)
+            : this.orderBooks[`${ ccy1 }:${ ccy2 }`];
+    }
+
+    async _book(ccy1, ccy2, options) {
+        const recorded = this._recordedBook(ccy1, ccy2);
+        if (recorded) {
+            return recorded;
+        }
+        if (!this.marketReq) {
+            throw new Error(`The simulated exchange has no order book for ${ ccy1 }/${ ccy2 }`);
+        }
+
+        const res = await this.marketReq(Object.assign(_.pick(options, ['baseUrl', 'headers', 'json']), {
+            url: `order_book/${ ccy1 }/${ ccy2 }`,
+            method: 'GET'
+        }));
+        return res.data || res;
+    }
+
+    _private(options, endpoint, ccy1, ccy2, params) {
+        switch (endpoint) {
+        case 'balance':
+            return this._balance();
+        case 'place_order':
+            return this._placeOrder(options, ccy1, ccy2, params);
+        case 'cancel_order':
+            this._cancel(this._order(params.id));
+            return true;
+        case 'cancel_orders':
+            return { e: 'cancel_orders', ok: 'ok', data: this._cancelAll(ccy1, ccy2) };
+        case 'cancel_replace_order':
+            return this._cancelReplace(options, ccy1, ccy2, params);
+        case 'open_orders':
+            return this._openOrders(ccy1, ccy2);
+        case 'active_orders_status':
+            return { e: 'active_orders_status', ok: 'ok', data: this._activeOrdersStatus([].concat(params.orders_list || [])) };
+        case 'get_order':
+            return this._orderView(this._order(params.id));
+        case 'open_position':
+            return this._openPosition(options, ccy1, ccy2, params);
+        case 'close_position':
+            return this._closePosition(options, ccy1, ccy2, params);
+        case 'open_positions':
+            return { e: 'open_positions', ok: 'ok', data: this._positions(ccy1, ccy2, 'a') };
+        case 'archived_positions':
+            return { e: 'archived_positions', ok: 'ok', data: this._positions(ccy1, ccy2, 'c') };
+        case 'get_position':
+            return { e: 'get_position', ok: 'ok', data: this._positionView(this._position(params.id)) };
+        default:
+            throw new SimulatedError(`Error: ${ endpoint } is not supported by the simulated exchange`);
+        }
+    }
+
+    _balance() {
+        const result = { timestamp: String(Math.floor(Date.now() / 1000)), username: 'simulated' };
+        for (const [currency, { available, orders }] of this.balances) {
+            result[currency] = { available: fmt(available), orders: fmt(orders) };
+        }
+        return result;
+    }
+
+    _account(currency) {
+        if (!this.balances.has(currency)) {
+            this.balances.set(currency, { available: 0, orders: 0 });
+        }
+        return this.balances.get(currency);
+    }
+
+    _ensure(currency, amount, message) {
+        if (round(this._account(currency).available - amount) < 0) {
+            throw new SimulatedError(`Error: ${ message }: Insufficient funds.`);
+        }
+    }
+
+    _debit(currency, amount) {
+        const account = this._account(currency);
+        account.available = round(account.available - amount);
+    }
+
+    _credit(currency, amount) {
+        const account = this._account(currency);
+        account.available = round(account.available + amount);
+    }
+
+    _reserve(currency, amount) {
+        const account = this._account(currency);
+        account.available = round(account.available - amount);
+        account.orders = round(account.orders + amount);
+    }
+
+    _release(currency, amount, toAvailable = true) {
+        const account = this._account(currency);
+        account.orders = round(account.orders - amount);
+        if (toAvailable) {
+            account.available = round(account.available + amount);
+        }
+    }
+
+    async _placeOrder(options, ccy1, ccy2, params) {
+        const type = params.type;
+        const amount = Number(params.amount);
+        const market = params.order_type === 'market';
+        const price = market ? null : Number(params.price);
+
+        if (type !== 'buy' && type !== 'sell') {
+            throw new SimulatedError('Error: Place order error: Invalid order type');
+        }
+        if (!(amount > 0) || (!market && !(price > 0))) {
+            throw new SimulatedError('Error: Place order error: Invalid amount or price');
+        }
+
+        const taker = this.fees.taker / 100;
+        const maker = this.fees.maker / 100;
+        const buy = type === 'buy';
+
+        // market buys are for an amount of the counter currency, fees included
+        const needed = buy && !market ? amount * price * (1 + Math.max(taker, maker)) : amount;
+        this._ensure(buy ? ccy2 : ccy1, needed, 'Place order error');
+
+        const book = await this._book(ccy1, ccy2, options);
+        const fill = take(levels(buy ? book.asks : book.bids), buy, market && buy
+            ? { budget: amount / (1 + taker) }
+            : { amount, limit: market ? undefined : price });
+        const fee = fill.counter * taker;
+
+        if (buy) {
+            this._debit(ccy2, fill.counter + fee);
+            this._credit(ccy1, fill.base);
+        } else {
+            this._debit(ccy1, fill.base);
+            this._credit(ccy2, fill.counter - fee);
+        }
+
+        const remains = market ? 0 : round(amount - fill.base);
+        const order = {
+            id: String(this.nextId++),
+            pair: `${ ccy1 }:${ ccy2 }`,
+            symbol1: ccy1,
+            symbol2: ccy2,
+            type,
+            time: Date.now(),
+            amount: market && buy ? fill.base : amount,
+            price,
+            remains,
+            bookId: snapshotId(book),
+            status: orderStatus(remains, fill.base, market && !buy ? amount : fill.base),
+            ta: 0,
+            tta: fill.counter,
+            fa: 0,
+            tfa: fee
+        };
+
+        if (remains > 0) {
+            this._reserve(buy ? ccy2 : ccy1, buy ? remains * price * (1 + maker) : remains);
+        }
+        this.orders.set(order.id, order);
+
+        return {
+            complete: order.status === 'd',
+            id: order.id,
+            time: order.time,
+            pending: fmt(order.remains),
+            amount: fmt(order.amount),
+            type,
+            price: market ? undefined : String(price)
+        };
+    }
+
+    // Resting orders are makers, so fill at their own price
+    _fillResting(order, book) {
+        if (snapshotId(book) === order.bookId) {
+            return;
+        }
+        order.bookId = snapshotId(book);
+
+        const buy = order.type === 'buy';
+        const { base } = take(levels(buy ? book.asks : book.bids), buy, { amount: order.remains, limit: order.price });
+        if (!base) {
+            return;
+        }
+
+        const maker = this.fees.maker / 100;
+        const counter = base * order.price;
+        const fee = counter * maker;
+
+        if (buy) {
+            this._release(order.symbol2, base * order.price * (1 + maker), false);
+            this._credit(order.symbol1, base);
+        } else {
+            this._release(order.symbol1, base, false);
+            this._credit(order.symbol2, counter - fee);
+        }
+
+        order.remains = round(order.remains - base);
+        order.ta = round(order.ta + counter);
+        order.fa = round(order.fa + fee);
+        if (order.remains <= 0) {
+            order.remains = 0;
+            order.status = 'd';
+        }
+        d('filled %s of order %s', base, order.id);
+    }
+
+    _order(id) {
+        const order = this.orders.get(String(id));
+        if (!order) {
+            throw new SimulatedError('Error: Order not found');
+        }
+        return order;
+    }
+
+    _cancel(order) {
+        if (order.status !== 'a') {
+            throw new SimulatedError('Error: Order not found');
+        }
+
+        const maker = this.fees.maker / 100;
+        if (order.type === 'buy') {
+            this._release(order.symbol2, order.remains * order.price * (1 + maker));
+        } else {
+            this._release(order.symbol1, order.remains);
+        }
+        order.status = order.remains < order.amount ? 'cd' : 'c';
+    }
+
+    _cancelAll(ccy1, ccy2) {
+        const pair = `${ ccy1 }:${ ccy2 }`;
+        return Array.from(this.orders.values())
+            .filter(order => order.pair === pair && order.status === 'a')
+            .map(order => {
+                this._cancel(order);
+                return order.id;
+            });
+    }
+
+    async _cancelReplace(options, ccy1, ccy2, params) {
+        this._cancel(this._order(params.order_id));
+        const data = await this._placeOrder(options, ccy1, ccy2, params);
+        return { e: 'cancel_replace_order', ok: 'ok', data };
+    }
+
+    _openOrders(ccy1, ccy2) {
+        return Array.from(this.orders.values())
+            .filter(order => order.status === 'a' && (!ccy1 || order.pair === `${ ccy1 }:${ ccy2 }`))
+            .map(order => ({
+                id: order.id,
+                time: String(order.time),
+                type: order.type,
+                price: String(order.price),
+                amount: fmt(order.amount),
+                pending: fmt(order.remains),
+                symbol1: order.symbol1,
+                symbol2: order.symbol2
+            }));
+    }
+
+    _activeOrdersStatus(ids) {
+        return ids
+            .map(id => this.orders.get(String(id)))
+            .filter(order => order && order.status === 'a')
+            .map(order => [order.id, fmt(order.amount), fmt(order.remains)]);
+    }
+
+    _orderView(order) {
+        const ccy = order.symbol2;
+        return {
+            id: order.id,
+            type: order.type,
+            time: order.time,
+            user: 'simulated',
+            status: order.status,
+            symbol1: order.symbol1,
+            symbol2: ccy,
+            amount: fmt(order.amount),
+            price: order.price === null ? undefined : String(order.price),
+            remains: fmt(order.remains),
+            [`ta:${ ccy }`]: fmt(order.ta),
+            [`tta:${ ccy }`]: fmt(order.tta),
+            [`fa:${ ccy }`]: fmt(order.fa),
+            [`tfa:${ ccy }`]: fmt(order.tfa)
+        };
+    }
+
+    async _openPosition(options, ccy1, ccy2, params) {
+        const amount = Number(params.amount);
+        const leverage = Number(params.leverage);
+        const ptype = params.ptype;
+        const msymbol = params.msymbol || ccy1;
+
+        if (!(amount > 0) || !(leverage > 0) || (ptype !== 'long' && ptype !== 'short')) {
+            throw new SimulatedError('Error: Invalid amount, leverage or position type');
+        }
+
+        const long = ptype === 'long';
+        const book = await this._book(ccy1, ccy2, options);
+        const fill = take(levels(long ? book.asks : book.bids), long, { amount });
+        if (round(fill.base) < amount) {
+            throw new SimulatedError('Error: Not enough liquidity to open the position');
+        }
+
+        const oprice = fill.counter / fill.base;
+        const inQuote = msymbol === ccy2;
+        const margin = inQuote ? amount * oprice / leverage : amount / leverage;
+        const fee = (inQuote ? fill.counter : amount) * this.fees.taker / 100;
+
+        this._ensure(msymbol, margin + fee, 'Open position error');
+        this._debit(msymbol, fee);
+        this._reserve(msymbol, margin);
+
+        const position = {
+            id: String(this.nextId++),
+            otime: Date.now(),
+            symbol1: ccy1,
+            symbol2: ccy2,
+            ptype,
+            amount,
+            leverage,
+            msymbol,
+            margin,
+            oprice,
+            stopLossPrice: params.stopLossPrice,
+            fee,
+            status: 'a'
+        };
+        this.positions.set(position.id, position);
+
+        return {
+            e: 'open_position',
+            ok: 'ok',
+            data: Object.assign(_.omit(this._positionView(position), ['pair', 'status', 'user']), {
+                pair: { symbol1: ccy1, symbol2: ccy2 }
+            })
+        };
+    }
+
+    async _closePosition(options, ccy1, ccy2, params) {
+        const position = this._position(params.id);
+        if (position.status !== 'a') {
+            throw new SimulatedError('Error: Position is already closed');
+        }
+
+        const long = position.ptype === 'long';
+        const book = await this._book(ccy1, ccy2, options);
+        const fill = take(levels(long ? book.bids : book.asks), !long, { amount: position.amount });
+        if (round(fill.base) < position.amount) {
+            throw new SimulatedError('Error: Not enough liquidity to close the position');
+        }
+
+        const cprice = fill.counter / fill.base;
+        const inQuote = position.msymbol === ccy2;
+        const pnl = profit(position.ptype, position.amount, position.oprice, cprice);
+        const fee = (inQuote ? fill.counter : position.amount) * this.fees.taker / 100;
+        const result = round((inQuote ? pnl : pnl / cprice) - fee);
+
+        this._release(position.msymbol, position.margin);
+        this._credit(position.msymbol, result);
+
+        Object.assign(position, { status: 'c', ctime: Date.now(), cprice, profit: result, fee: position.fee + fee });
+
+        return {
+            e: 'close_position',
+            ok: 'ok',
+            data: {
+                id: position.id,
+                ctime: position.ctime,
+                ptype: position.ptype,
+                msymbol: position.msymbol,
+                pair: { symbol1: ccy1, symbol2: ccy2 },
+                price: fmt(cprice),
+                profit: fmt(result)
+            }
+        };
+    }
+
+    _position(id) {
+        const position = this.positions.get(String(id));
+        if (!position) {
+            throw new SimulatedError('Error: Position not found');
+        }
+        return position;
+    }
+
+    _positions(ccy1, ccy2, status) {
+        const pair = `${ ccy1 }:${ ccy2 }`;
+        return Array.from(this.positions.values())
+            .filter(position => position.status === status && `${ position.symbol1 }:${ position.symbol2 }` === pair)
+            .map(position => this._positionView(position));
+    }
+
+    _positionView(position) {
+        return _.omitBy({
+            id: position.id,
+            user: 'simulated',
+            otime: position.otime,
+            symbol: position.symbol1,
+            amount: fmt(position.amount),
+            leverage: String(position.leverage),
+            ptype: position.ptype,
+            psymbol: position.symbol1,
+            msymbol: position.msymbol,
+            lsymbol: position.symbol2,
+            pair: `${ position.symbol1 }:${ position.symbol2 }`,
+            oprice: fmt(position.oprice),
+            stopLossPrice: position.stopLossPrice,
+            tfeeAmount: fmt(position.fee),
+            pamount: fmt(position.amount),
+            omamount: fmt(position.margin),
+            status: position.status,
+            ctime: position.ctime,
+            cprice: position.cprice === undefined ? undefined : fmt(position.cprice),
+            profit: position.profit === undefined ? undefined : fmt(position.profit)
+        }, _.isUndefined);
+    }
+}
+
+// Rejections the real exchange would report as { error }, so that the client
+// maps them onto its error classes as usual
+class SimulatedError extends Error {}
+
+// Market orders never rest, so whatever they could not fill is cancelled
+function orderStatus(remains, filled, wanted) {
+    if (remains > 0) {
+        return 'a';
+    }
+    if (!filled) {
+        return 'c';
+    }
+    return filled < wanted ? 'cd' : 'd';
+}
+
+// Recorded snapshots without an id are told apart by identity
+function snapshotId(book) {
+    return book.id !== undefined ? book.id : book;
+}
+
+function levels(side = []) {
+    return side.map(([price, amount]) => [Number(price), Number(amount)]);
+}
+
+// Walks the levels best first, up to an amount of the base currency or a budget
+// of the counter currency, stopping at the limit price if there is one
+function take(bookLevels, buy, { amount, budget, limit }) {
+    let base = 0;
+    let counter = 0;
+
+    for (const [price, available] of bookLevels) {
+        if (limit !== undefined && (buy ? price > limit : price < limit)) {
+            break;
+        }
+
+        const size = budget !== undefined
+            ? Math.min(available, (budget - counter) / price)
+            : Math.min(available, amount - base);
+        if (round(size) <= 0) {
+            break;
+        }
+
+        base += size;
+        counter += size * price;
+    }
+
+    return { base: round(base), counter: round(counter) };
+}
+
+module.exports = { SimulatedExchange, defaultFees };
@@ -0,0 +1,356 @@
+'use strict';
+const _ = require('lodash');
+const EventEmitter = require('events');
+const debug = require('debug');
+const d = debug('cexio:stream');
+const { createParser, defaultRawFields } = require('./numbers');
+const { CexioApiError, AuthenticationError, NetworkError } = require('./errors');
+const { Credentials } = require('./credentials');
+const { accountEnv } = require('./pool');
+
+const defaultStreamOptions = {
+    url: 'wss://ws.cex.io/ws',
+    reconnect: true,
+    reconnectDelay: 1000,
+    maxReconnectDelay: 30000,
+    // CEX.io pings every 15 seconds or so; silence for longer than this means the connection is dead
+    heartbeatTimeout: 45000,
+    // how long request() waits for the reply to its oid
+    replyTimeout: 10000
+};
+
+// Client for the CEX.io WebSocket API. Every message received is emitted
+// under its `e` name (e.g. 'tick', 'md', 'md_update', 'ohlcv', 'order',
+// 'balance') with its parsed data and the raw message, except 'error',
+// which is emitted as a CexioApiError.
+class CEXIOStream extends EventEmitter {
+
+    constructor({
+        account,
+        clientId,
+        key,
+        secret,
+        credentials,
+        url,
+        reconnect,
+        reconnectDelay,
+        maxReconnectDelay,
+        heartbeatTimeout,
+        replyTimeout,
+        numbers = 'float',
+        decimal,
+        rawFields = defaultRawFields
+    } = {}, WebSocket = require('ws')) {
+        super();
+
+        // credentials as the REST client takes them (see lib/credentials.js),
+        // loaded when the stream authenticates; with none it doesn't
+        const env = accountEnv(account);
+        key = key || env.key;
+        secret = secret || env.secret;
+
+        this.account = account;
+        this.credentials = null;
+        if (credentials || (key && secret)) {
+            this.rotateCredentials(credentials || { clientId: clientId || env.clientId, key, secret });
+        }
+
+        Object.assign(this, defaultStreamOptions, _.omitBy({
+            url, reconnect, reconnectDelay, maxReconnectDelay, heartbeatTimeout, replyTimeout
+        }, _.isUndefined));
+
+        this.WebSocket = WebSocket;
+        this.ws = null;
+        this.authenticated = false;
+        this.closing = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.heartbeatTimer = null;
+        this.subscriptions = new Map();
+        this.pending = new Map();
+        this.pendingAuth = null;
+        this.oidCounter = 0;
+
+        this._parse = createParser({ numbers, decimal, rawFields });
+    }
+
+    // Resolves once connected and, if credentials were given, authenticated
+    connect() {
+        this.closing = false;
+        return this._open();
+    }
+
+    close() {
+        this.closing = true;
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.heartbeatTimer);
+
+        if (this.ws) {
+            this.ws.close();
+        }
+    }
+
+    send(message) {
+        if (!this.ws || this.ws.readyState !== this.WebSocket.OPEN) {
+            throw new NetworkError('WebSocket is not connected', { endpoint: message.e });
+        }
+
+        d('send', message.e);
+        this.ws.send(JSON.stringify(message));
+    }
+
+    // Sends a message tagged with an oid and resolves with the data of the matching
+    // reply, or rejects with a NetworkError if none arrives within replyTimeout
+    request(e, data = {}) {
+        const oid = `${ Date.now() }_${ ++this.oidCounter }_${ e }`;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(oid);
+                reject(new NetworkError(`No reply to ${ e } within ${ this.replyTimeout }ms`, { endpoint: e }));
+            }, this.replyTimeout);
+
+            const settle = settled => value => {
+                clearTimeout(timer);
+                settled(value);
+            };
+            this.pending.set(oid, { resolve: settle(resolve), reject: settle(reject), e });
+
+            try {
+                this.send({ e, data, oid });
+            } catch (err) {
+                this.pending.delete(oid);
+                settle(reject)(err);
+            }
+        });
+    }
+
+    subscribeTickers() {
+        return this._subscribe('tickers', () => {
+            this.send({ e: 'subscribe', rooms: ['tickers'] });
+        });
+    }
+
+    // Resolves with the order book snapshot; 'md_update' events carry the diffs that follow it
+    subscribeOrderBook(ccy1, ccy2, depth = 0) {
+        return this._subscribe(`order-book:${ ccy1 }:${ ccy2 }`, () =>
+            this.request('order-book-subscribe', { pair: [ccy1, ccy2], subscribe: true, depth })
+        );
+    }
+
+    unsubscribeOrderBook(ccy1, ccy2) {
+        this.subscriptions.delete(`order-book:${ ccy1 }:${ ccy2 }`);
+        return this.request('order-book-unsubscribe', { pair: [ccy1, ccy2] });
+    }
+
+    subscribeOHLCV(ccy1, ccy2, interval = '1m') {
+        return this._subscribe(`ohlcv:${ ccy1 }:${ ccy2 }`, () => {
+            this.send({ e: 'init-ohlcv', i: interval, rooms: [`pair-${ ccy1 }-${ ccy2 }`] });
+        });
+    }
+
+    // Subscriptions are remembered so that they can be replayed after a reconnect
+    async _subscribe(name, subscribe) {
+        this.subscriptions.set(name, subscribe);
+        return subscribe();
+    }
+
+    _open() {
+        return new Promise((resolve, reject) => {
+            d('connecting to', this.url);
+
+            const ws = this.ws = new this.WebSocket(this.url);
+            let connected = false;
+            let ready = false;
+
+            const fail = err => {
+                if (!ready) {
+                    ready = true;
+                    reject(err);
+                }
+            };
+
+            ws.on('message', raw => {
+                const message = this._onMessage(raw);
+
+                if (message && message.e === 'connected' && !connected) {
+                    connected = true;
+                    this._onConnected().then(() => {
+                        ready = true;
+                        this.reconnectAttempts = 0;
+                        this.emit('ready');
+                        resolve();
+                    }, err => {
+                        fail(err);
+                        if (err instanceof AuthenticationError) {
+                            this.close();
+                        } else {
+                            ws.terminate();
+                        }
+                    });
+                }
+            });
+            ws.on('error', err => {
+                fail(new NetworkError(err.message, { endpoint: this.url }));
+                this._emitError(err);
+            });
+            ws.on('close', (code, reason) => {
+                fail(new NetworkError(`WebSocket closed (${ code })`, { endpoint: this.url }));
+                this._onClose(ws, code, String(reason));
+            });
+        });
+    }
+
+    async _onConnected() {
+        this._resetHeartbeat();
+
+        if (this.credentials) {
+            await this._authenticate();
+        }
+
+        for (const subscribe of this.subscriptions.values()) {
+            await subscribe();
+        }
+    }
+
+    // Switches to new credentials, or with none, asks the provider again. They
+    // are used the next time the stream authenticates, on connecting or
+    // reconnecting.
+    rotateCredentials(credentials) {
+        if (this.credentials) {
+            this.credentials.rotate(credentials);
+        } else {
+            this.credentials = new Credentials(credentials, { required: ['key', 'secret'] });
+        }
+        return this;
+    }
+
+    async _authenticate() {
+        const credentials = await this.credentials.load();
+        const timestamp = Math.floor(Date.now() / 1000);
+        const signature = credentials.hmac(timestamp + credentials.key);
+
+        return new Promise((resolve, reject) => {
+            this.pendingAuth = { resolve, reject, credentials };
+            this.send({ e: 'auth', auth: { key: credentials.key, signature, timestamp } });
+        });
+    }
+
+    _onMessage(raw) {
+        this._resetHeartbeat();
+
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (e) {
+            this._emitError(new CexioApiError('Could not parse WebSocket message', { endpoint: this.url, data: String(raw) }));
+            return null;
+        }
+
+        d('receive', message.e);
+
+        // ws still delivers messages while the socket is closing, and the close
+        // that follows reconnects, so a pong that can't be sent is not fatal
+        if (message.e === 'ping') {
+            try {
+                this.send({ e: 'pong' });
+            } catch (err) {
+                this._emitError(err);
+            }
+        }
+
+        const data = this._parse(message.data);
+
+        if (message.e === 'auth' && this.pendingAuth) {
+            const { resolve, reject, credentials } = this.pendingAuth;
+            this.pendingAuth = null;
+
+            if (message.ok === 'ok') {
+                this.authenticated = true;
+                this.emit('authenticated');
+                resolve();
+            } else {
+                // rejected credentials are loaded again by the next connect()
+                this.credentials.drop(credentials);
+                reject(new AuthenticationError(credentials.redact(data && data.error || 'WebSocket authentication failed'), {
+                    endpoint: 'auth',
+                    data: credentials.redact(message)
+                }));
+            }
+        }
+
+        if (message.oid && this.pending.has(message.oid)) {
+            const { resolve, reject } = this.pending.get(message.oid);
+            this.pending.delete(message.oid);
+
+            if (message.ok === 'error') {
+                reject(new CexioApiError(data && data.error || `${ message.e } failed`, { endpoint: message.e, data: message }));
+            } else {
+                resolve(data);
+            }
+        }
+
+        this.emit('message', message);
+
+        // an 'error' event without a listener would throw out of the ws handler
+        if (message.e === 'error') {
+            this._emitError(new CexioApiError(data && data.error || 'WebSocket error', { endpoint: this.url, data: message }));
+        } else {
+            this.emit(message.e, data, message);
+        }
+
+        return message;
+    }
+
+    _onClose(ws, code, reason) {
+        if (ws !== this.ws) {
+            return;
+        }
+
+        clearTimeout(this.heartbeatTimer);
+        this.authenticated = false;
+
+        for (const { reject, e } of this.pending.values()) {
+            reject(new NetworkError('WebSocket closed before a reply was received', { endpoint: e }));
+        }
+        this.pending.clear();
+
+        if (this.pendingAuth) {
+            this.pendingAuth.reject(new NetworkError('WebSocket closed during authentication', { endpoint: 'auth' }));
+            this.pendingAuth = null;
+        }
+
+        this.emit('disconnected', { code, reason });
+
+        if (this.closing || !this.reconnect) {
+            return;
+        }
+
+        const attempt = ++this.reconnectAttempts;
+        const delay = Math.min(this.reconnectDelay * Math.pow(2, attempt - 1), this.maxReconnectDelay);
+        this.emit('reconnecting', { attempt, delay });
+
+        this.reconnectTimer = setTimeout(() => {
+            this._open().catch(err => d('reconnect failed', err.message));
+        }, delay);
+    }
+
+    _resetHeartbeat() {
+        clearTimeout(this.heartbeatTimer);
+        this.heartbeatTimer = setTimeout(() => {
+            d('heartbeat timed out');
+            this.ws.terminate();
+        }, this.heartbeatTimeout);
+    }
+
+    // Errors are recovered from by reconnecting, so only surface them to listeners
+    _emitError(err) {
+        if (this.listenerCount('error')) {
+            this.emit('error', err);
+        } else {
+            d('error', err.message);
+        }
+    }
+}
+
+module.exports = { CEXIOStream, defaultStreamOptions };
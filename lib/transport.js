@@ -0,0 +1,239 @@
+'use strict';
+const _ = require('lodash');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const { URL } = require('url');
+const querystring = require('querystring');
+const debug = require('debug');
+const d = debug('cexio:transport');
+
+// A transport is any function that takes the request options a client builds
+// ({ baseUrl, url, method, qs, body, headers, json, timeout, signal }) and
+// resolves with the response body, parsed when `json` is set. Failures reject
+// the way request-promise does, so that either can be used: an HTTP error
+// status as a StatusCodeError with `statusCode` and the body in `error`, and
+// anything else as a RequestError whose `cause` carries the socket error code.
+// An aborted request rejects with an AbortError.
+const defaultTransportOptions = {
+    // milliseconds for the whole request, from sending it to the end of the response
+    timeout: 30000,
+    keepAlive: true,
+    maxSockets: 10
+};
+
+// The built-in transport, on Node's http and https modules. Connections are
+// kept alive and reused, and https requests can be tunnelled through an HTTP
+// proxy, which defaults to the HTTPS_PROXY environment variable.
+class HttpsTransport {
+
+    constructor({
+        timeout = defaultTransportOptions.timeout,
+        keepAlive = defaultTransportOptions.keepAlive,
+        maxSockets = defaultTransportOptions.maxSockets,
+        proxy = process.env.HTTPS_PROXY || process.env.https_proxy
+    } = {}) {
+        this.timeout = timeout;
+        this.proxy = proxy ? new URL(proxy) : null;
+
+        const agentOptions = { keepAlive, maxSockets };
+        this.agents = {
+            'http:': new http.Agent(agentOptions),
+            'https:': this.proxy ? new TunnelingAgent(this.proxy, agentOptions) : new https.Agent(agentOptions)
+        };
+
+        this.req = this.req.bind(this);
+    }
+
+    req({ baseUrl, url, method = 'GET', qs, body, headers = {}, json, timeout = this.timeout, signal }) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(abortError());
+                return;
+            }
+
+            const target = requestUrl(baseUrl, url, qs);
+            const request = this._request(target, {
+                method,
+                headers: Object.assign(
+                    json ? { accept: 'application/json' } : {},
+                    body === undefined ? {} : { 'content-length': Buffer.byteLength(body) },
+                    _.mapKeys(headers, (value, name) => name.toLowerCase())
+                )
+            });
+
+            let settled = false;
+            const finish = (err, result) => {
+                if (settled) { return; }
+                settled = true;
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(result);
+                }
+            };
+
+            const onAbort = () => {
+                finish(abortError());
+                request.destroy();
+            };
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+
+            const timer = timeout ? setTimeout(() => {
+                finish(requestError(codedError(`Request to ${ target.href } timed out after ${ timeout }ms`, 'ETIMEDOUT')));
+                request.destroy();
+            }, timeout) : null;
+
+            request.on('error', err => finish(requestError(err)));
+            request.on('response', res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('error', err => finish(requestError(err)));
+                res.on('end', () => {
+                    const text = Buffer.concat(chunks).toString('utf8');
+                    const responseBody = json ? parseJson(text) : text;
+
+                    d('%s %s %d', method, target.href, res.statusCode);
+
+                    if (res.statusCode >= 200 && res.statusCode < 300) {
+                        finish(null, responseBody);
+                    } else {
+                        finish(statusCodeError(res.statusCode, responseBody));
+                    }
+                });
+            });
+
+            request.end(body);
+        });
+    }
+
+    // Plain http requests through a proxy ask it for the absolute URL; https
+    // ones go through the tunnelling agent
+    _request(target, { method, headers }) {
+        const agent = this.agents[target.protocol];
+        if (!agent) {
+            throw new Error(`Unsupported protocol: ${ target.protocol }`);
+        }
+
+        if (this.proxy && target.protocol === 'http:') {
+            return http.request({
+                host: this.proxy.hostname,
+                port: this.proxy.port || 80,
+                method,
+                path: target.href,
+                headers: Object.assign({ host: target.host }, proxyAuthorization(this.proxy), headers),
+                agent
+            });
+        }
+
+        const module = target.protocol === 'https:' ? https : http;
+        return module.request({
+            host: target.hostname,
+            port: target.port || undefined,
+            method,
+            path: target.pathname + target.search,
+            headers,
+            agent
+        });
+    }
+
+    // Closes any connections being kept alive
+    destroy() {
+        _.forEach(this.agents, agent => agent.destroy());
+    }
+}
+
+// Opens https connections through an HTTP proxy with CONNECT. Node's agents
+// accept a createConnection that calls back, so the TLS sockets made through
+// the tunnel are pooled and kept alive like any others.
+class TunnelingAgent extends https.Agent {
+
+    constructor(proxy, options) {
+        super(options);
+        this.proxy = proxy;
+    }
+
+    createConnection(options, callback) {
+        const authority = `${ options.host }:${ options.port }`;
+        const connect = http.request({
+            host: this.proxy.hostname,
+            port: this.proxy.port || 80,
+            method: 'CONNECT',
+            path: authority,
+            headers: Object.assign({ host: authority }, proxyAuthorization(this.proxy)),
+            agent: false
+        });
+
+        connect.once('connect', (res, socket) => {
+            if (res.statusCode !== 200) {
+                socket.destroy();
+                callback(codedError(`Proxy refused to connect to ${ authority }: HTTP ${ res.statusCode }`, 'EPROXY'));
+                return;
+            }
+            callback(null, tls.connect(Object.assign({}, options, { socket, servername: options.servername || options.host })));
+        });
+        connect.once('error', callback);
+        connect.end();
+    }
+}
+
+function proxyAuthorization(proxy) {
+    if (!proxy.username) {
+        return {};
+    }
+    const credentials = `${ decodeURIComponent(proxy.username) }:${ decodeURIComponent(proxy.password) }`;
+    return { 'proxy-authorization': `Basic ${ Buffer.from(credentials).toString('base64') }` };
+}
+
+function requestUrl(baseUrl, url, qs) {
+    const target = new URL(baseUrl ? `${ baseUrl.replace(/\/$/, '') }/${ url.replace(/^\//, '') }` : url);
+    const query = querystring.stringify(_.omitBy(qs, _.isUndefined));
+    if (query) {
+        target.search = target.search ? `${ target.search }&${ query }` : query;
+    }
+    return target;
+}
+
+// Bodies that are not JSON (an HTML error page, say) are passed on as text
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        return text;
+    }
+}
+
+function codedError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+function requestError(cause) {
+    const err = new Error(String(cause));
+    err.name = 'RequestError';
+    err.cause = cause;
+    return err;
+}
+
+function statusCodeError(statusCode, body) {
+    const err = new Error(`${ statusCode } - ${ typeof body === 'string' ? body : JSON.stringify(body) }`);
+    err.name = 'StatusCodeError';
+    err.statusCode = statusCode;
+    err.error = body;
+    return err;
+}
+
+function abortError() {
+    const err = codedError('The request was aborted', 'ABORT_ERR');
+    err.name = 'AbortError';
+    return err;
+}
+
+module.exports = { HttpsTransport, TunnelingAgent, defaultTransportOptions };
@@ -0,0 +1,113 @@
+import test from 'ava';
+
+import { ResponseCache } from './lib/cache';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function loader(results) {
+    const load = () => {
+        load.calls++;
+        const result = results.shift();
+        return sleep(10).then(() => result instanceof Error ? Promise.reject(result) : result);
+    };
+    load.calls = 0;
+    return load;
+}
+
+test('identical calls in flight share one request', async t => {
+    const cache = new ResponseCache({ ttls: { ticker: 0 } });
+    const load = loader([{ last: 1 }, { last: 2 }]);
+
+    const results = await Promise.all([
+        cache.get('ticker/BTC/USD', undefined, load),
+        cache.get('ticker/BTC/USD', {}, load)
+    ]);
+
+    t.deepEqual(results, [{ last: 1 }, { last: 1 }]);
+    t.deepEqual(load.calls, 1);
+
+    // a ttl of 0 keeps nothing once the request is done
+    t.deepEqual(await cache.get('ticker/BTC/USD', undefined, load), { last: 2 });
+    t.deepEqual(cache.stats(), { size: 0, hits: 0, misses: 2, coalesced: 1 });
+});
+
+test('responses are kept for their endpoint\'s ttl', async t => {
+    const cache = new ResponseCache({ ttls: { order_book: 100 } });
+    const load = loader([{ id: 1 }, { id: 2 }]);
+
+    await cache.get('order_book/BTC/USD', { depth: 5 }, load);
+    t.deepEqual(await cache.get('order_book/BTC/USD', { depth: 5 }, load), { id: 1 });
+    t.deepEqual(load.calls, 1);
+
+    await sleep(150);
+    t.deepEqual(await cache.get('order_book/BTC/USD', { depth: 5 }, load), { id: 2 });
+    t.deepEqual(load.calls, 2);
+});
+
+test('queries are part of the key, whatever order they are in', async t => {
+    const cache = new ResponseCache({ defaultTtl: 1000 });
+    const load = loader([[1], [2], [3]]);
+
+    await cache.get('trade_history/BTC/USD', { since: 1, limit: 5 }, load);
+
+    t.deepEqual(await cache.get('trade_history/BTC/USD', { limit: 5, since: 1 }, load), [1]);
+    t.deepEqual(await cache.get('trade_history/BTC/USD', { since: 2 }, load), [2]);
+    t.deepEqual(load.calls, 2);
+});
+
+test('failures are shared while in flight but never kept', async t => {
+    const cache = new ResponseCache();
+    const load = loader([new Error('down'), { last: 3 }]);
+
+    const errors = await Promise.all([
+        cache.get('ticker/BTC/USD', undefined, load).catch(err => err.message),
+        cache.get('ticker/BTC/USD', undefined, load).catch(err => err.message)
+    ]);
+
+    t.deepEqual(errors, ['down', 'down']);
+    t.deepEqual(await cache.get('ticker/BTC/USD', undefined, load), { last: 3 });
+    t.deepEqual(load.calls, 2);
+});
+
+test('calls that may not join send their own request, and it is still kept', async t => {
+    const cache = new ResponseCache();
+    const load = loader([{ last: 1 }, { last: 2 }]);
+
+    const [first, second] = await Promise.all([
+        cache.get('ticker/BTC/USD', undefined, load),
+        cache.get('ticker/BTC/USD', undefined, load, { join: false })
+    ]);
+
+    t.deepEqual([first, second, load.calls], [{ last: 1 }, { last: 2 }, 2]);
+    t.deepEqual(await cache.get('ticker/BTC/USD', undefined, load), { last: 2 });
+});
+
+test('invalidate() drops an endpoint name, one endpoint, or everything', async t => {
+    const cache = new ResponseCache({ defaultTtl: 1000 });
+    const value = () => Promise.resolve({});
+
+    for (const endpoint of ['ticker/BTC/USD', 'ticker/ETH/USD', 'tickers/BTC/USD', 'order_book/BTC/USD']) {
+        await cache.get(endpoint, endpoint === 'order_book/BTC/USD' ? { depth: 1 } : undefined, value);
+    }
+
+    cache.invalidate('ticker/ETH/USD');
+    t.deepEqual(Array.from(cache.entries.keys()), ['ticker/BTC/USD', 'tickers/BTC/USD', 'order_book/BTC/USD?depth=1']);
+
+    cache.invalidate('ticker');
+    cache.invalidate('order_book/BTC/USD');
+    t.deepEqual(Array.from(cache.entries.keys()), ['tickers/BTC/USD']);
+
+    cache.invalidate();
+    t.deepEqual(cache.stats().size, 0);
+});
+
+test('a response invalidated while in flight is not kept', async t => {
+    const cache = new ResponseCache();
+    const load = loader([{ last: 1 }, { last: 2 }]);
+
+    const pending = cache.get('ticker/BTC/USD', undefined, load);
+    cache.invalidate('ticker');
+    await pending;
+
+    t.deepEqual(await cache.get('ticker/BTC/USD', undefined, load), { last: 2 });
+});
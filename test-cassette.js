@@ -0,0 +1,105 @@
+import test from 'ava';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import CEXIO from './';
+
+const { Cassette } = CEXIO;
+
+function tmpFile(name) {
+    return path.join(os.tmpdir(), `cexio-cassette-${ process.pid }-${ name }.json`);
+}
+
+const creationArgs = {
+    ccy1: 'BTC',
+    ccy2: 'USD',
+    clientId: 'up123456',
+    key: 'my-api-key',
+    secret: 'my-api-secret',
+    retryOptions: { retries: 0 },
+    rateLimit: false
+};
+
+// Stands in for the network while recording
+function fakeNetwork(options) {
+    if (options.url === 'ticker/BTC/USD') {
+        return Promise.resolve({ timestamp: '1513177918', last: '4000.5', bid: 4000, ask: 4001 });
+    }
+    if (options.url === 'balance/') {
+        return Promise.resolve({ timestamp: '1513177918', username: 'up123456', BTC: { available: '1.50000000', orders: '0.00000000' } });
+    }
+    if (options.url === 'open_orders/BTC/USD') {
+        const err = new Error('429 - "slow down"');
+        err.name = 'StatusCodeError';
+        err.statusCode = 429;
+        err.error = 'slow down';
+        return Promise.reject(err);
+    }
+    return Promise.reject(new Error(`unexpected request for ${ options.url }`));
+}
+
+async function record(file) {
+    const cassette = new Cassette(file, { mode: 'record', req: fakeNetwork });
+    const cexio = new CEXIO(creationArgs, cassette.req);
+
+    await cexio.ticker();
+    await cexio.balance();
+    await cexio.balance();
+    await expectFailure(cexio.openOrders('BTC', 'USD'));
+    await cassette.save();
+}
+
+function expectFailure(promise) {
+    return promise.then(() => { throw new Error('should have failed'); }, () => {});
+}
+
+test('recordings leave out credentials, nonces and signatures', async t => {
+    const file = tmpFile('redacted');
+    await record(file);
+
+    const text = fs.readFileSync(file, 'utf8');
+    const { version, interactions } = JSON.parse(text);
+
+    t.deepEqual(version, 1);
+    t.deepEqual(interactions.map(({ request }) => `${ request.method } ${ request.url }`), [
+        'GET ticker/BTC/USD',
+        'POST balance/',
+        'POST balance/',
+        'POST open_orders/BTC/USD'
+    ]);
+    t.deepEqual(interactions[1].request.params, { key: '[REDACTED]', signature: '[REDACTED]', nonce: '[REDACTED]' });
+    t.deepEqual(interactions[3].response.error.statusCode, 429);
+    t.false(text.includes('my-api-key'));
+    t.false(text.includes('my-api-secret'));
+
+    fs.unlinkSync(file);
+});
+
+test('replays serve recorded responses in order, errors included', async t => {
+    const file = tmpFile('replay');
+    await record(file);
+
+    // different credentials still match, since they are never recorded
+    const cassette = new Cassette(file, { mode: 'replay' });
+    const cexio = new CEXIO(Object.assign({}, creationArgs, { key: 'other', secret: 'other' }), cassette.req);
+
+    t.deepEqual((await cexio.ticker()).last, 4000.5);
+    t.deepEqual((await cexio.balance()).BTC, { available: 1.5, orders: 0 });
+    t.deepEqual((await cexio.balance()).BTC, { available: 1.5, orders: 0 });
+
+    const rateLimited = await t.throws(cexio.openOrders('BTC', 'USD'));
+    t.true(rateLimited instanceof CEXIO.RateLimitError);
+    t.deepEqual(rateLimited.data, 'slow down');
+
+    const exhausted = await t.throws(cexio.balance());
+    t.regex(exhausted.message, /No recorded response left .* for POST balance\//);
+
+    fs.unlinkSync(file);
+});
+
+test('only recording cassettes can be saved', async t => {
+    const err = await t.throws(new Cassette(tmpFile('unused'), { mode: 'replay' }).save());
+    t.regex(err.message, /recording/);
+    t.throws(() => new Cassette(tmpFile('unused'), { mode: 'rewind' }), /Invalid cassette mode/);
+});
@@ -0,0 +1,123 @@
+import test from 'ava';
+import { PassThrough } from 'stream';
+
+import { run, parsePair, table } from './lib/cli';
+
+function io(input) {
+    const streams = { stdin: new PassThrough(), stdout: new PassThrough(), stderr: new PassThrough() };
+    streams.stdin.end(input);
+    streams.output = name => String(streams[name].read() || '');
+    return streams;
+}
+
+function fakeClient(overrides = {}) {
+    const client = Object.assign({
+        calls: [],
+        ticker: () => Promise.resolve({ last: '4000.5', bid: '4000', ask: '4001', low: '3900', high: '4100', volume: '12.5' }),
+        balance: () => Promise.resolve({
+            timestamp: '1513177918',
+            username: 'up123456',
+            BTC: { available: '1.50000000', orders: '0.00000000' },
+            EUR: { available: '0.00', orders: '0.00' },
+            USD: { available: '25.10', orders: '100.00' }
+        }),
+        orderBook: (depth, ccy1, ccy2) => {
+            client.calls.push(['orderBook', depth, ccy1, ccy2]);
+            return Promise.resolve({ bids: [['3990', '1'], ['3980', '2']], asks: [['4000', '0.5']] });
+        },
+        cancelAllOrders: (ccy1, ccy2) => {
+            client.calls.push(['cancelAllOrders', ccy1, ccy2]);
+            return Promise.resolve(['101', '102']);
+        }
+    }, overrides);
+    return client;
+}
+
+function runWith(argv, client, input = '', env = {}) {
+    const streams = io(input);
+    let options;
+    const createClient = opts => {
+        options = opts;
+        return client;
+    };
+    return run(argv, Object.assign({ env, createClient }, streams)).then(code => ({
+        code,
+        options,
+        stdout: streams.output('stdout'),
+        stderr: streams.output('stderr')
+    }));
+}
+
+test('parsePair() accepts BTC/USD and BTC:USD and falls back to the env vars', t => {
+    t.deepEqual(parsePair('btc/usd', {}), ['BTC', 'USD']);
+    t.deepEqual(parsePair('ETH:EUR', {}), ['ETH', 'EUR']);
+    t.deepEqual(parsePair(undefined, { CEXIO_CCY_1: 'LTC', CEXIO_CCY_2: 'GBP' }), ['LTC', 'GBP']);
+    t.throws(() => parsePair('BTCUSD', {}), /BTC\/USD/);
+    t.throws(() => parsePair(undefined, {}), /CEXIO_CCY_1/);
+    t.throws(() => parsePair(undefined, { CEXIO_CCY_1: 'BTC', CEXIO_CCY_2: 'US-D' }), 'Invalid currency pair: BTC/US-D');
+});
+
+test('table() pads columns', t => {
+    t.deepEqual(table(['a', 'bbb'], [['1234', 'x'], ['5', undefined]]), 'a     bbb\n1234  x\n5');
+    t.deepEqual(table(['a'], []), '(none)');
+});
+
+test('ticker prints a table for the requested pair', async t => {
+    const { code, options, stdout } = await runWith(['ticker', 'BTC/EUR'], fakeClient());
+
+    t.deepEqual(code, 0);
+    t.deepEqual(options, { ccy1: 'BTC', ccy2: 'EUR', numbers: 'string' });
+    t.regex(stdout, /^pair\s+last\s+bid/);
+    t.regex(stdout, /BTC\/EUR\s+4000\.5\s+4000\s+4001/);
+});
+
+test('balance leaves out empty currencies, and --json prints the raw result', async t => {
+    const { stdout } = await runWith(['balance'], fakeClient());
+    t.deepEqual(stdout.split('\n').map(line => line.split(/\s+/)[0]), ['currency', 'BTC', 'USD', '']);
+
+    const json = await runWith(['balance', '--json'], fakeClient());
+    t.deepEqual(JSON.parse(json.stdout).EUR, { available: '0.00', orders: '0.00' });
+});
+
+test('book passes the depth through and lines up both sides', async t => {
+    const client = fakeClient();
+    const { stdout } = await runWith(['book', 'BTC/USD', '--depth', '10'], client);
+
+    t.deepEqual(client.calls, [['orderBook', 10, 'BTC', 'USD']]);
+    t.deepEqual(stdout.split('\n')[1].split(/\s+/), ['1', '3990', '4000', '0.5']);
+    t.deepEqual(stdout.split('\n')[2].split(/\s+/), ['2', '3980']);
+});
+
+test('cancel-all asks first and does nothing unless confirmed', async t => {
+    const declined = fakeClient();
+    const no = await runWith(['cancel-all', 'BTC/USD'], declined, 'n\n');
+    t.deepEqual(declined.calls, []);
+    t.regex(no.stderr, /Cancel all open BTC\/USD orders\? \[y\/N\]/);
+    t.regex(no.stdout, /Nothing cancelled/);
+
+    const confirmed = fakeClient();
+    const yes = await runWith(['cancel-all', 'BTC/USD'], confirmed, 'y\n');
+    t.deepEqual(confirmed.calls, [['cancelAllOrders', 'BTC', 'USD']]);
+    t.regex(yes.stdout, /Cancelled 101, 102/);
+
+    const skipped = fakeClient();
+    await runWith(['cancel-all', 'BTC/USD', '--yes'], skipped);
+    t.deepEqual(skipped.calls, [['cancelAllOrders', 'BTC', 'USD']]);
+});
+
+test('usage errors and API errors set the exit code', async t => {
+    const unknown = await runWith(['withdraw-everything'], fakeClient());
+    t.deepEqual(unknown.code, 2);
+    t.regex(unknown.stderr, /Unknown command: withdraw-everything/);
+
+    const badDepth = await runWith(['book', 'BTC/USD', '--depth', 'lots'], fakeClient());
+    t.deepEqual(badDepth.code, 2);
+
+    const failing = await runWith(['balance'], fakeClient({ balance: () => Promise.reject(new Error('API key disabled')) }));
+    t.deepEqual(failing.code, 1);
+    t.deepEqual(failing.stderr, 'cexio: API key disabled\n');
+
+    const help = await runWith(['--help'], fakeClient());
+    t.deepEqual(help.code, 0);
+    t.regex(help.stdout, /^Usage: cexio/);
+});
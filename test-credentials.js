@@ -0,0 +1,146 @@
+import test from 'ava';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import util from 'util';
+
+import { Credentials, StaticCredentials, EnvCredentials, FileCredentials, toCredentialProvider } from './lib/credentials';
+import { AuthenticationError } from './lib/errors';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function tmpFile(name) {
+    return path.join(os.tmpdir(), `cexio-credentials-${ process.pid }-${ name }`);
+}
+
+function provider(results) {
+    const get = async () => {
+        get.calls++;
+        await sleep(10);
+        const result = results.shift();
+        if (result instanceof Error) {
+            throw result;
+        }
+        return result;
+    };
+    get.calls = 0;
+    return { get };
+}
+
+test('loaded credentials sign with the secret but never hold it as a property', async t => {
+    const credentials = new Credentials({ clientId: 'id', key: 'key', secret: 'shh' });
+    const loaded = await credentials.load();
+
+    t.deepEqual([loaded.clientId, loaded.key], ['id', 'key']);
+    t.deepEqual(loaded.sign('message'), crypto.createHmac('sha256', 'shh').update('message').digest('hex').toUpperCase());
+    t.deepEqual(loaded.hmac('message'), crypto.createHmac('sha256', 'shh').update('message').digest('hex'));
+    t.false(util.inspect(credentials, { depth: Infinity }).includes('shh'));
+    t.false(util.inspect(new StaticCredentials({ secret: 'shh' }), { depth: Infinity }).includes('shh'));
+    t.false(JSON.stringify(loaded).includes('shh'));
+});
+
+test('concurrent loads share one call to the provider', async t => {
+    const source = provider([{ clientId: 'id', key: 'a', secret: 's' }, { clientId: 'id', key: 'b', secret: 's' }]);
+    const credentials = new Credentials(source);
+
+    const [first, second] = await Promise.all([credentials.load(), credentials.load()]);
+
+    t.is(first, second);
+    t.deepEqual(source.get.calls, 1);
+    t.is(await credentials.load(), first);
+});
+
+test('failed loads are not kept', async t => {
+    const source = provider([new Error('vault sealed'), { clientId: 'id', key: 'a', secret: 's' }]);
+    const credentials = new Credentials(source);
+
+    const err = await t.throws(credentials.load());
+    t.deepEqual(err.message, 'vault sealed');
+    t.deepEqual((await credentials.load()).key, 'a');
+});
+
+test('missing fields are an AuthenticationError naming them', async t => {
+    const err = await t.throws(new Credentials({ clientId: 'id' }).load());
+
+    t.true(err instanceof AuthenticationError);
+    t.deepEqual(err.message, 'Missing API credentials: key, secret');
+
+    const streamOnly = await new Credentials({ key: 'key', secret: 'shh' }, { required: ['key', 'secret'] }).load();
+    t.deepEqual([streamOnly.clientId, streamOnly.key], [undefined, 'key']);
+});
+
+test('credentials are loaded again once they expire, or are rotated or dropped', async t => {
+    const source = provider([
+        { clientId: 'id', key: 'a', secret: 's', expires: Date.now() + 50 },
+        { clientId: 'id', key: 'b', secret: 's' },
+        { clientId: 'id', key: 'c', secret: 's' },
+        { clientId: 'id', key: 'd', secret: 's' }
+    ]);
+    const credentials = new Credentials(source);
+
+    t.deepEqual((await credentials.load()).key, 'a');
+    await sleep(60);
+    const b = await credentials.load();
+    t.deepEqual(b.key, 'b');
+
+    credentials.rotate();
+    const c = await credentials.load();
+    t.deepEqual(c.key, 'c');
+
+    // dropping credentials that were already replaced does nothing
+    credentials.drop(b);
+    t.is(await credentials.load(), c);
+    credentials.drop(c);
+    t.deepEqual((await credentials.load()).key, 'd');
+
+    credentials.rotate({ clientId: 'id', key: 'e', secret: 's' });
+    t.deepEqual((await credentials.load()).key, 'e');
+});
+
+test('redact() hides the key and secret anywhere in a value', async t => {
+    const loaded = await new Credentials({ clientId: 'id', key: 'the-key', secret: 'the-secret' }).load();
+
+    t.deepEqual(loaded.redact({ error: 'bad key the-key', list: ['x the-secret y'], n: 1 }), {
+        error: 'bad key [REDACTED]', list: ['x [REDACTED] y'], n: 1
+    });
+});
+
+test('EnvCredentials reads the environment each time they are loaded', async t => {
+    const env = { CEXIO_MAIN_CLIENT_ID: 'id', CEXIO_MAIN_KEY: 'a', CEXIO_MAIN_SECRET: 's' };
+    const credentials = new Credentials(new EnvCredentials('main', env));
+
+    t.deepEqual((await credentials.load()).key, 'a');
+
+    env.CEXIO_MAIN_KEY = 'b';
+    credentials.rotate();
+    t.deepEqual((await credentials.load()).key, 'b');
+});
+
+test('FileCredentials reads a JSON file, optionally keyed by account', async t => {
+    const file = tmpFile('accounts.json');
+    fs.writeFileSync(file, JSON.stringify({ main: { clientId: 'id', key: 'a', secret: 's' } }));
+
+    try {
+        t.deepEqual((await new Credentials(new FileCredentials(file, { account: 'main' })).load()).key, 'a');
+
+        const missing = await t.throws(new FileCredentials(file, { account: 'hedge' }).get());
+        t.deepEqual(missing.message, `No credentials for account hedge in ${ file }`);
+
+        fs.writeFileSync(file, '{ "secret": "half-written');
+        const broken = await t.throws(new FileCredentials(file).get());
+        t.true(broken instanceof AuthenticationError);
+        t.false(broken.message.includes('half-written'));
+    } finally {
+        fs.unlinkSync(file);
+    }
+});
+
+test('toCredentialProvider() accepts objects, functions and providers', async t => {
+    const source = { get: () => Promise.resolve({}) };
+
+    t.is(toCredentialProvider(source), source);
+    t.deepEqual(await toCredentialProvider(async () => ({ key: 'a' })).get(), { key: 'a' });
+    t.deepEqual((await toCredentialProvider({ key: 'b' }).get()).key, 'b');
+    t.throws(() => toCredentialProvider('key'), 'Credentials must be { clientId, key, secret }, a function, or an object with a get() method');
+});
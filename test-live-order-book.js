@@ -0,0 +1,175 @@
+import test from 'ava';
+import EventEmitter from 'events';
+
+import { LiveOrderBook } from './lib/live-order-book';
+
+const snapshot = {
+    id: 100,
+    pair: 'BTC:USD',
+    bids: [[4150, 0.5], [4149, 1], [4140, 2]],
+    asks: [[4151, 1.2], [4152, 0.3], [4160, 5]]
+};
+
+function fakeClient(...snapshots) {
+    return {
+        ccy1: 'BTC',
+        ccy2: 'USD',
+        calls: 0,
+        orderBook(depth, ccy1, ccy2) {
+            this.args = [depth, ccy1, ccy2];
+            return Promise.resolve(snapshots[Math.min(this.calls++, snapshots.length - 1)]);
+        }
+    };
+}
+
+function fakeStream() {
+    const stream = new EventEmitter();
+    stream.subscribeOrderBook = () => Promise.resolve();
+    stream.unsubscribeOrderBook = () => Promise.resolve();
+    return stream;
+}
+
+function diff(id, bids = [], asks = [], pair = 'BTC:USD') {
+    return { id, pair, bids, asks };
+}
+
+test('seeds from the REST snapshot', async t => {
+    const client = fakeClient(snapshot);
+    const book = new LiveOrderBook({ client, stream: fakeStream(), depth: 10 });
+
+    await book.start();
+
+    t.deepEqual(client.args, [10, 'BTC', 'USD']);
+    t.deepEqual(book.bestBid(), { price: 4150, amount: 0.5 });
+    t.deepEqual(book.bestAsk(), { price: 4151, amount: 1.2 });
+    t.deepEqual(book.spread(), 1);
+});
+
+test('applies diffs in sequence and ignores other pairs', async t => {
+    const stream = fakeStream();
+    const book = new LiveOrderBook({ client: fakeClient(snapshot), stream });
+    await book.start();
+
+    const updates = [];
+    book.on('update', update => updates.push(update.id));
+
+    stream.emit('md_update', diff(101, [[4150, 0], [4150.5, 0.1]]));
+    stream.emit('md_update', diff(102, [], [[4151, 0.2]]));
+    stream.emit('md_update', diff(5, [[9999, 1]], [], 'ETH:USD'));
+
+    t.deepEqual(updates, [101, 102]);
+    t.deepEqual(book.bestBid(), { price: 4150.5, amount: 0.1 });
+    t.deepEqual(book.bestAsk(), { price: 4151, amount: 0.2 });
+});
+
+test('applies diffs that arrive while the snapshot is fetched', async t => {
+    const stream = fakeStream();
+    const client = fakeClient(snapshot);
+    const orderBook = client.orderBook;
+    client.orderBook = function (...args) {
+        stream.emit('md_update', diff(100, [[1, 1]]));
+        stream.emit('md_update', diff(101, [[4150, 3]]));
+        return orderBook.apply(this, args);
+    };
+
+    const book = new LiveOrderBook({ client, stream });
+    await book.start();
+
+    t.deepEqual(book.id, 101);
+    t.deepEqual(book.bestBid(), { price: 4150, amount: 3 });
+    t.deepEqual(book.depthAt(1).bids, 6);
+});
+
+test('resyncs from a new snapshot when a diff is missed', async t => {
+    const stream = fakeStream();
+    const client = fakeClient(snapshot, Object.assign({}, snapshot, { id: 103, bids: [[4100, 1]] }));
+    const book = new LiveOrderBook({ client, stream });
+    await book.start();
+
+    const synced = new Promise(resolve => book.once('synced', resolve));
+    stream.emit('md_update', diff(103, [[4100, 2]]));
+
+    t.deepEqual(await synced, 103);
+    t.deepEqual(client.calls, 2);
+    t.deepEqual(book.bestBid(), { price: 4100, amount: 1 });
+
+    stream.emit('md_update', diff(104, [[4100, 4]]));
+    t.deepEqual(book.bestBid(), { price: 4100, amount: 4 });
+});
+
+test('gives up after repeated snapshots that do not line up', async t => {
+    const stream = fakeStream();
+    const client = fakeClient(snapshot);
+    const orderBook = client.orderBook;
+    client.orderBook = function (...args) {
+        stream.emit('md_update', diff(200));
+        return orderBook.apply(this, args);
+    };
+
+    const book = new LiveOrderBook({ client, stream, maxResyncAttempts: 2, resyncDelay: 1 });
+
+    await t.throws(book.start(), /Could not sync BTC:USD order book after 2 attempts/);
+    t.deepEqual(client.calls, 2);
+});
+
+test('a failed resync leaves the book stale until a later diff resyncs it', async t => {
+    const stream = fakeStream();
+    const replies = [snapshot, new Error('snapshot failed'), Object.assign({}, snapshot, { id: 104, bids: [[4100, 1]] })];
+    const client = {
+        calls: 0,
+        orderBook() {
+            const reply = replies[this.calls++];
+            return reply instanceof Error ? Promise.reject(reply) : Promise.resolve(reply);
+        }
+    };
+    const book = new LiveOrderBook({ client, stream, pair: 'BTC/USD', resyncDelay: 100, maxBuffer: 2 });
+    await book.start();
+
+    const stale = new Promise(resolve => book.once('stale', resolve));
+    stream.emit('md_update', diff(103));
+    t.deepEqual((await stale).message, 'snapshot failed');
+
+    t.deepEqual([book.bestBid(), book.bestAsk(), book.spread(), book.depthAt(4150), book.vwapFor(1, 'buy')], [null, null, null, null, null]);
+
+    // still backing off, so this diff is only buffered
+    stream.emit('md_update', diff(104));
+    t.deepEqual(client.calls, 2);
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+    const synced = new Promise(resolve => book.once('synced', resolve));
+    stream.emit('md_update', diff(105, [[4100, 3]]));
+
+    t.deepEqual(await synced, 105);
+    t.deepEqual(client.calls, 3);
+    t.deepEqual(book.buffer, []);
+    t.deepEqual(book.bestBid(), { price: 4100, amount: 3 });
+});
+
+test('at most maxBuffer diffs are held while unsynced', t => {
+    const book = new LiveOrderBook({ client: fakeClient(snapshot), stream: fakeStream(), pair: 'BTC/USD', maxBuffer: 2 });
+    book.resyncing = new Promise(() => {});
+
+    [101, 102, 103].forEach(id => book._onUpdate(diff(id)));
+
+    t.deepEqual(book.buffer.map(buffered => buffered.id), [102, 103]);
+});
+
+test('depthAt() sums the levels on each side of a price', async t => {
+    const book = new LiveOrderBook({ client: fakeClient(snapshot), stream: fakeStream() });
+    await book.start();
+
+    t.deepEqual(book.depthAt(4149), { bids: 1.5, asks: 0 });
+    t.deepEqual(book.depthAt(4152), { bids: 0, asks: 1.5 });
+});
+
+test('vwapFor() walks the book', async t => {
+    const book = new LiveOrderBook({ client: fakeClient(snapshot), stream: fakeStream() });
+    await book.start();
+
+    t.deepEqual(book.vwapFor(1, 'buy'), 4151);
+    t.deepEqual(book.vwapFor(1.5, 'buy'), (1.2 * 4151 + 0.3 * 4152) / 1.5);
+    t.deepEqual(book.vwapFor(1, 'sell'), (0.5 * 4150 + 0.5 * 4149) / 1);
+    t.deepEqual(book.vwapFor(100, 'sell'), null);
+    t.deepEqual(book.vwapFor(0, 'buy'), null);
+    t.deepEqual(book.vwapFor(-1, 'sell'), null);
+});
@@ -0,0 +1,111 @@
+import test from 'ava';
+
+import { MarketInfo, validateOrder } from './lib/market-info';
+import { InvalidOrderError } from './lib/errors';
+
+const limits = {
+    pairs: [
+        { symbol1: 'BTC', symbol2: 'USD', minLotSize: 0.01, minLotSizeS2: 2.5, maxLotSize: 30, minPrice: '100', maxPrice: '4096' },
+        { symbol1: 'ETH', symbol2: 'BTC', minLotSize: 0.1, minLotSizeS2: 0.001, minPrice: '0.0001', maxPrice: '1' }
+    ]
+};
+
+const profile = {
+    symbols: [{ code: 'BTC', precision: 8 }, { code: 'USD', precision: 2 }, { code: 'ETH', precision: 6 }],
+    pairs: [{ symbol1: 'BTC', symbol2: 'USD', pricePrecision: 1 }]
+};
+
+function fakeClient() {
+    return {
+        calls: 0,
+        currencyLimits() {
+            this.calls++;
+            return Promise.resolve(limits);
+        },
+        currencyProfile() {
+            return Promise.resolve(profile);
+        }
+    };
+}
+
+test('merges limits and precisions per pair', async t => {
+    const info = new MarketInfo(fakeClient());
+
+    t.deepEqual(await info.pair('BTC', 'USD'), {
+        symbol1: 'BTC',
+        symbol2: 'USD',
+        minLotSize: 0.01,
+        minLotSizeS2: 2.5,
+        maxLotSize: 30,
+        minPrice: 100,
+        maxPrice: 4096,
+        pricePrecision: 1,
+        amountPrecision: 8,
+        counterPrecision: 2
+    });
+
+    const eth = await info.pair('ETH', 'BTC');
+    t.deepEqual(eth.maxLotSize, undefined);
+    t.deepEqual(eth.pricePrecision, 8);
+    t.deepEqual(eth.amountPrecision, 6);
+});
+
+test('caches until the ttl expires, sharing concurrent loads', async t => {
+    const client = fakeClient();
+    const info = new MarketInfo(client, { ttl: 200 });
+
+    await Promise.all([info.all(), info.all()]);
+    await info.pair('BTC', 'USD');
+    t.deepEqual(client.calls, 1);
+
+    await new Promise(resolve => setTimeout(resolve, 250));
+    await info.all();
+    t.deepEqual(client.calls, 2);
+
+    await info.refresh();
+    t.deepEqual(client.calls, 3);
+
+    info.invalidate();
+    await info.all();
+    t.deepEqual(client.calls, 4);
+});
+
+test('rejects unknown pairs', async t => {
+    const err = await t.throws(new MarketInfo(fakeClient()).pair('DOGE', 'USD'));
+
+    t.true(err instanceof InvalidOrderError);
+    t.deepEqual(err.message, 'Unknown currency pair: DOGE/USD');
+});
+
+test('check() rejects unknown pairs only once market info is cached and fresh', async t => {
+    const info = new MarketInfo(fakeClient(), { ttl: 50 });
+
+    t.notThrows(() => info.check('DOGE', 'USD'));
+
+    await info.all();
+    t.notThrows(() => info.check('BTC', 'USD'));
+    t.throws(() => info.check('DOGE', 'USD'), 'Unknown currency pair: DOGE/USD');
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    t.notThrows(() => info.check('DOGE', 'USD'));
+});
+
+test('validateOrder() rounds amounts down and prices to the nearest increment', async t => {
+    const info = await new MarketInfo(fakeClient()).pair('BTC', 'USD');
+
+    t.deepEqual(validateOrder(info, { type: 'sell', amount: 0.123456789, price: 2500.26 }), { amount: '0.12345678', price: '2500.3' });
+    t.deepEqual(validateOrder(info, { type: 'buy', orderType: 'market', amount: '10.009' }), { amount: '10.00' });
+});
+
+test('validateOrder() reports every problem with the order', async t => {
+    const info = await new MarketInfo(fakeClient()).pair('BTC', 'USD');
+
+    const err = t.throws(() => validateOrder(info, { type: 'buy', amount: 31, price: 50 }, { endpoint: 'place_order' }));
+
+    t.true(err instanceof InvalidOrderError);
+    t.deepEqual(err.message, 'Invalid BTC/USD order: amount 31 BTC is above the maximum lot size of 30, price 50 is below the minimum price of 100');
+    t.deepEqual(err.endpoint, 'place_order');
+
+    t.throws(() => validateOrder(info, { type: 'buy', orderType: 'market', amount: 2 }), /below the minimum lot size of 2.5/);
+    t.throws(() => validateOrder(info, { type: 'buy', amount: 0.000000001 }), /amount must be a positive number/);
+});
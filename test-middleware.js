@@ -0,0 +1,86 @@
+import test from 'ava';
+
+import { Metrics, requestLogger, runHooks, checkMiddleware } from './lib/middleware';
+
+function networkError() {
+    const err = new Error('socket hang up');
+    err.name = 'NetworkError';
+    err.code = 'ECONNRESET';
+    return err;
+}
+
+test('runHooks() awaits each layer\'s hook in order, skipping layers without it', async t => {
+    const calls = [];
+    const middleware = [
+        { beforeRequest: async ctx => { await new Promise(resolve => setTimeout(resolve, 10)); calls.push(['a', ctx.n]); } },
+        { onError: () => calls.push('never') },
+        { beforeRequest: ctx => { calls.push(['b', ctx.n]); } }
+    ];
+
+    await runHooks(middleware, 'beforeRequest', { n: 1 });
+
+    t.deepEqual(calls, [['a', 1], ['b', 1]]);
+});
+
+test('checkMiddleware() rejects objects without any hooks', t => {
+    t.throws(() => checkMiddleware({ before: () => {} }), 'Middleware needs at least one of beforeRequest, afterResponse, onError');
+    t.throws(() => checkMiddleware(null));
+});
+
+test('requestLogger() logs each event as a plain object', t => {
+    const entries = [];
+    const logger = requestLogger({ log: entry => entries.push(entry) });
+    const ctx = { endpoint: 'balance/', attempt: 1, request: { method: 'POST' }, params: { key: '[REDACTED]', nonce: 1 } };
+
+    logger.beforeRequest(ctx);
+    logger.afterResponse(Object.assign({ duration: 12 }, ctx));
+    logger.onError(Object.assign({ duration: 30, error: networkError() }, ctx, { attempt: 2 }));
+
+    t.deepEqual(entries, [
+        { event: 'request', method: 'POST', endpoint: 'balance/', attempt: 1, params: { key: '[REDACTED]', nonce: 1 } },
+        { event: 'response', endpoint: 'balance/', attempt: 1, duration: 12 },
+        { event: 'error', endpoint: 'balance/', attempt: 2, duration: 30, error: 'NetworkError', message: 'socket hang up', code: 'ECONNRESET' }
+    ]);
+});
+
+test('Metrics counts outcomes and errors, and times requests, per endpoint', t => {
+    const metrics = new Metrics();
+
+    metrics.afterResponse({ name: 'ticker', duration: 20 });
+    metrics.afterResponse({ name: 'ticker', duration: 60 });
+    metrics.onError({ name: 'ticker', duration: 100, error: networkError() });
+    metrics.onError({ name: 'place_order', duration: 40, error: Object.assign(new Error(), { name: 'InvalidOrderError' }) });
+
+    t.deepEqual(metrics.snapshot(), {
+        ticker: { ok: 2, error: 1, errors: { NetworkError: 1 }, latency: { count: 3, mean: 60, min: 20, max: 100 } },
+        place_order: { ok: 0, error: 1, errors: { InvalidOrderError: 1 }, latency: { count: 1, mean: 40, min: 40, max: 40 } }
+    });
+
+    metrics.reset();
+    t.deepEqual(metrics.snapshot(), {});
+});
+
+test('Metrics exports the Prometheus text format', t => {
+    const metrics = new Metrics({ prefix: 'bot', buckets: [0.1, 0.05] });
+
+    metrics.afterResponse({ name: 'ticker', duration: 20 });
+    metrics.onError({ name: 'ticker', duration: 250, error: Object.assign(new Error(), { name: 'Weird"Error' }) });
+
+    t.deepEqual(metrics.toPrometheus(), [
+        '# HELP bot_requests_total Requests sent to CEX.io, by endpoint and outcome',
+        '# TYPE bot_requests_total counter',
+        'bot_requests_total{endpoint="ticker",outcome="ok"} 1',
+        'bot_requests_total{endpoint="ticker",outcome="error"} 1',
+        '# HELP bot_errors_total Failed requests, by endpoint and error class',
+        '# TYPE bot_errors_total counter',
+        'bot_errors_total{endpoint="ticker",error="Weird\\"Error"} 1',
+        '# HELP bot_request_duration_seconds Time taken by each request to CEX.io',
+        '# TYPE bot_request_duration_seconds histogram',
+        'bot_request_duration_seconds_bucket{endpoint="ticker",le="0.05"} 1',
+        'bot_request_duration_seconds_bucket{endpoint="ticker",le="0.1"} 1',
+        'bot_request_duration_seconds_bucket{endpoint="ticker",le="+Inf"} 2',
+        'bot_request_duration_seconds_sum{endpoint="ticker"} 0.27',
+        'bot_request_duration_seconds_count{endpoint="ticker"} 2',
+        ''
+    ].join('\n'));
+});
@@ -0,0 +1,68 @@
+import test from 'ava';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { MemoryNonceStore, FileNonceStore } from './lib/nonce';
+
+function tmpFile(name) {
+    return path.join(os.tmpdir(), `cexio-nonce-${ process.pid }-${ name }`);
+}
+
+function isStrictlyIncreasing(values) {
+    return values.every((val, i) => i === 0 || val > values[i - 1]);
+}
+
+test('MemoryNonceStore never repeats a nonce within the same millisecond', async t => {
+    const store = new MemoryNonceStore();
+
+    const nonces = await Promise.all([store.next(), store.next(), store.next()]);
+
+    t.true(isStrictlyIncreasing(nonces));
+    t.true(nonces[0] >= Date.now() - 1000);
+});
+
+test('FileNonceStore shares a strictly increasing sequence between stores', async t => {
+    const file = tmpFile('shared');
+    const a = new FileNonceStore(file);
+    const b = new FileNonceStore(file);
+
+    const nonces = [];
+    await Promise.all([a, b, a, b, a, b].map(store => store.next().then(nonce => nonces.push(nonce))));
+
+    t.true(isStrictlyIncreasing(nonces));
+    t.deepEqual(Number(fs.readFileSync(file, 'utf8')), nonces[5]);
+    t.false(fs.existsSync(`${ file }.lock`));
+
+    fs.unlinkSync(file);
+});
+
+test('FileNonceStore continues from the stored nonce', async t => {
+    const file = tmpFile('future');
+    const future = Date.now() + 60000;
+    fs.writeFileSync(file, String(future));
+
+    t.deepEqual(await new FileNonceStore(file).next(), future + 1);
+
+    fs.unlinkSync(file);
+});
+
+test('FileNonceStore removes stale locks', async t => {
+    const file = tmpFile('stale');
+    fs.writeFileSync(`${ file }.lock`, '');
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(`${ file }.lock`, past, past);
+
+    t.true(await new FileNonceStore(file, { staleTimeout: 1000 }).next() > 0);
+
+    fs.unlinkSync(file);
+});
+
+test('FileNonceStore times out when the lock is held', async t => {
+    const file = tmpFile('held');
+    fs.writeFileSync(`${ file }.lock`, '');
+
+    await t.throws(new FileNonceStore(file, { lockTimeout: 20 }).next(), /Timed out waiting for nonce lock/);
+
+    fs.unlinkSync(`${ file }.lock`);
+});
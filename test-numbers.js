@@ -0,0 +1,80 @@
+import test from 'ava';
+
+import { createParser, maxDpStr } from './lib/numbers';
+
+class FakeDecimal {
+    constructor(str) { this.str = str; }
+    toFixed(dp) { return `fixed(${ this.str },${ dp })`; }
+}
+
+test('maxDpStr() formats numbers', t => {
+    t.deepEqual(maxDpStr(2.5), '2.50000000');
+    t.deepEqual(maxDpStr(650.3232, 2), '650.32');
+});
+
+test('maxDpStr() rounds numeric strings without going through floats', t => {
+    t.deepEqual(maxDpStr('0.1'), '0.10000000');
+    t.deepEqual(maxDpStr('12345678901234567.123456789'), '12345678901234567.12345679');
+    t.deepEqual(maxDpStr('0.999999999'), '1.00000000');
+    t.deepEqual(maxDpStr('-9.995', 2), '-10.00');
+    t.deepEqual(maxDpStr('7.5', 0), '8');
+});
+
+test('maxDpStr() delegates to toFixed() on decimals', t => {
+    t.deepEqual(maxDpStr(new FakeDecimal('1.5'), 4), 'fixed(1.5,4)');
+});
+
+test('maxDpStr() passes non-numeric values through', t => {
+    t.deepEqual(maxDpStr(), '');
+    t.deepEqual(maxDpStr('abc'), 'abc');
+});
+
+test('createParser() converts numeric strings to floats by default', t => {
+    const parse = createParser();
+
+    t.deepEqual(parse({ price: '400.00', pair: 'BTC:USD', date: '2017-07-01' }), {
+        price: 400,
+        pair: 'BTC:USD',
+        date: '2017-07-01'
+    });
+});
+
+test('createParser() never coerces raw fields', t => {
+    const parse = createParser();
+
+    t.deepEqual(parse([{ id: '12345678901234567890', time: '1460020144872', amount: '1.0' }]), [
+        { id: '12345678901234567890', time: '1460020144872', amount: 1 }
+    ]);
+
+    const custom = createParser({ rawFields: ['amount'] });
+    t.deepEqual(custom({ id: '10', amount: '1.0' }), { id: 10, amount: '1.0' });
+});
+
+test('createParser() can leave numbers as strings', t => {
+    const parse = createParser({ numbers: 'string' });
+
+    t.deepEqual(parse({ available: '0.00000001', bid: 2662.1245 }), { available: '0.00000001', bid: '2662.1245' });
+});
+
+test('createParser() can build decimals from a factory', t => {
+    const parse = createParser({ numbers: 'decimal', decimal: str => new FakeDecimal(str) });
+
+    const res = parse({ available: '0.00000001', bid: 2662.1245, id: '1' });
+
+    t.deepEqual(res.available, new FakeDecimal('0.00000001'));
+    t.deepEqual(res.bid, new FakeDecimal('2662.1245'));
+    t.deepEqual(res.id, '1');
+});
+
+test('createParser() validates its options', t => {
+    t.throws(() => createParser({ numbers: 'decimal' }), /requires a decimal factory/);
+    t.throws(() => createParser({ numbers: 'bigint' }), /Invalid numbers option/);
+});
+
+test('maxDpStr() can truncate instead of rounding', t => {
+    t.deepEqual(maxDpStr(0.29, 2, true), '0.29');
+    t.deepEqual(maxDpStr(1.23456789, 4, true), '1.2345');
+    t.deepEqual(maxDpStr('0.999999999', 8, true), '0.99999999');
+    t.deepEqual(maxDpStr('-1.239', 2, true), '-1.23');
+    t.deepEqual(maxDpStr({ toFixed: dp => dp === undefined ? '1.239' : 'rounded' }, 2, true), '1.23');
+});
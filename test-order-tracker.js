@@ -0,0 +1,129 @@
+import test from 'ava';
+import EventEmitter from 'events';
+
+import { OrderTracker } from './lib/order-tracker';
+import { InvalidOrderError, NetworkError } from './lib/errors';
+
+// The exchange moves each order on to its next state (repeating the last) with
+// every active_orders_status call, which only lists orders that are still open
+function fakeClient(states) {
+    const calls = { activeOrdersStatus: 0, getOrder: 0 };
+    const current = id => states[id][Math.min(Math.max(calls.activeOrdersStatus - 1, 0), states[id].length - 1)];
+
+    return {
+        calls,
+        activeOrdersStatus(ids) {
+            calls.activeOrdersStatus++;
+            return Promise.resolve(ids
+                .map(current)
+                .filter(order => order.status === 'a')
+                .map(order => [order.id, order.amount, order.remains]));
+        },
+        getOrder(id) {
+            calls.getOrder++;
+            return Promise.resolve(current(id));
+        }
+    };
+}
+
+function order(id, status, remains, ta = 0) {
+    return { id, status, amount: 1, remains, symbol1: 'BTC', symbol2: 'USD', 'ta:USD': ta, 'tta:USD': 0 };
+}
+
+test('emits partial fills and resolves awaitOrder when filled', async t => {
+    const client = fakeClient({
+        '1': [order('1', 'a', 1), order('1', 'a', 0.75, 1000), order('1', 'd', 0, 4100)]
+    });
+    const tracker = new OrderTracker({ client, interval: 5 });
+    const partials = [];
+    tracker.on('partialFill', state => partials.push(state));
+
+    const state = await tracker.awaitOrder(1, { timeout: 2000 });
+
+    t.deepEqual(partials.length, 1);
+    t.deepEqual(partials[0].remains, 0.75);
+    t.deepEqual(partials[0].averagePrice, 4000);
+    t.deepEqual(state.id, '1');
+    t.deepEqual(state.status, 'filled');
+    t.deepEqual(state.filled, 1);
+    t.deepEqual(state.averagePrice, 4100);
+    t.false(tracker.orders.has('1'));
+});
+
+test('only fetches orders whose remaining amount changed', async t => {
+    const client = fakeClient({
+        '1': [order('1', 'a', 1)],
+        '2': [order('2', 'a', 1), order('2', 'cd', 0.4, 2400)]
+    });
+    const tracker = new OrderTracker({ client, interval: 5 });
+
+    tracker.track('1');
+    const cancelled = await tracker.awaitOrder('2', { timeout: 2000 });
+    tracker.stop();
+
+    t.deepEqual(cancelled.status, 'cancelled');
+    t.deepEqual(cancelled.filled, 0.6);
+    t.deepEqual(cancelled.averagePrice, 4000);
+    // order 1 never changed, so it was only fetched once
+    t.deepEqual(client.calls.getOrder, 3);
+});
+
+test('checks an order straight away when the stream reports it', async t => {
+    // polling never sees a change, so only the stream event can finish the order
+    const states = [order('7', 'a', 1), order('7', 'd', 0, 4000)];
+    const client = {
+        activeOrdersStatus: () => Promise.resolve([['7', 1, 1]]),
+        getOrder: () => Promise.resolve(states.shift())
+    };
+    const stream = new EventEmitter();
+    const tracker = new OrderTracker({ client, stream, interval: 60000 });
+
+    const filled = tracker.awaitOrder('7', { timeout: 2000 });
+    await tracker.poll();
+    t.deepEqual(tracker.orders.get('7').remains, 1);
+    stream.emit('order', { id: '7', remains: '0' });
+
+    t.deepEqual((await filled).status, 'filled');
+    t.deepEqual(stream.listenerCount('order'), 1);
+    tracker.stop();
+    t.deepEqual(stream.listenerCount('order'), 0);
+});
+
+test('awaitOrder rejects on timeout and polling errors are emitted', async t => {
+    const client = fakeClient({ '1': [order('1', 'a', 1)] });
+    client.activeOrdersStatus = () => Promise.reject(new Error('boom'));
+    const tracker = new OrderTracker({ client, interval: 5 });
+    const errors = [];
+    tracker.on('error', err => errors.push(err.message));
+
+    const err = await t.throws(tracker.awaitOrder('1', { timeout: 50 }));
+    tracker.stop();
+
+    t.regex(err.message, /Timed out waiting for order 1/);
+    t.true(errors.length > 0);
+    t.deepEqual(errors[0], 'boom');
+});
+
+test('awaitOrder rejects and the order is untracked when get_order fails for good', async t => {
+    const client = fakeClient({ '1': [order('1', 'a', 1)] });
+    let failures = 0;
+    client.activeOrdersStatus = () => Promise.resolve([]);
+    client.getOrder = () => {
+        failures++;
+        return Promise.reject(failures === 1
+            ? new NetworkError('socket hang up')
+            : new InvalidOrderError('Order not found'));
+    };
+    const tracker = new OrderTracker({ client, interval: 5 });
+    const failed = [];
+    tracker.on('failed', ({ id, error }) => failed.push([id, error.message]));
+    tracker.on('error', () => {});
+
+    const err = await t.throws(tracker.awaitOrder('1'));
+
+    t.true(err instanceof InvalidOrderError);
+    t.deepEqual(failures, 2);
+    t.deepEqual(failed, [['1', 'Order not found']]);
+    t.deepEqual(tracker.orders.size, 0);
+    t.deepEqual(tracker.timer, null);
+});
@@ -0,0 +1,36 @@
+import test from 'ava';
+
+import { Pair, isPairLike, resolvePair } from './lib/pair';
+
+test('Pair.from() reads pairs written with a slash, a colon or as { base, quote }', t => {
+    for (const value of ['BTC/USD', 'btc:usd', { base: 'BTC', quote: 'usd' }, new Pair('BTC', 'USD')]) {
+        const pair = Pair.from(value);
+        t.deepEqual([pair.base, pair.quote, pair.key, String(pair)], ['BTC', 'USD', 'BTC:USD', 'BTC/USD']);
+    }
+});
+
+test('Pair.from() rejects anything else', t => {
+    t.throws(() => Pair.from('BTCUSD'), 'Pairs are written like BTC/USD, not BTCUSD');
+    t.throws(() => Pair.from('BTC/USD/EUR'), 'Pairs are written like BTC/USD, not BTC/USD/EUR');
+    t.throws(() => Pair.from({ base: 'BTC' }), 'Invalid currency pair: BTC/undefined');
+});
+
+test('pairs serialize as they are written', t => {
+    t.deepEqual(JSON.stringify({ pair: new Pair('ETH', 'EUR') }), '{"pair":"ETH/EUR"}');
+});
+
+test('isPairLike() tells whole pairs from single currencies', t => {
+    t.true(isPairLike('BTC/USD'));
+    t.true(isPairLike({ base: 'BTC', quote: 'USD' }));
+    t.false(isPairLike('BTC'));
+    t.false(isPairLike(undefined));
+});
+
+test('resolvePair() fills in missing currencies from the defaults', t => {
+    const defaults = { ccy1: 'BTC', ccy2: 'EUR' };
+
+    t.deepEqual(resolvePair(undefined, undefined, defaults).key, 'BTC:EUR');
+    t.deepEqual(resolvePair('ETH', undefined, defaults).key, 'ETH:EUR');
+    t.deepEqual(resolvePair('ETH/USD', 'GBP', defaults).key, 'ETH:USD');
+    t.throws(() => resolvePair(), 'No currency pair given, and no default ccy1 and ccy2 are set');
+});
@@ -0,0 +1,94 @@
+import test from 'ava';
+
+import { AccountPool, accountEnv } from './lib/pool';
+
+const env = {
+    CEXIO_KEY: 'plain key',
+    CEXIO_CCY_1: 'BTC',
+    CEXIO_CCY_2: 'USD',
+    CEXIO_MAIN_CLIENT_ID: 'main id',
+    CEXIO_MAIN_KEY: 'main key',
+    CEXIO_MAIN_SECRET: 'main secret',
+    CEXIO_SUB_1_CLIENT_ID: 'sub id',
+    CEXIO_SUB_1_KEY: 'sub key',
+    CEXIO_SUB_1_SECRET: 'sub secret',
+    CEXIO_SUB_1_CCY_2: 'EUR'
+};
+
+function fakeClient(options) {
+    return { options, balance: () => Promise.resolve(options.balance) };
+}
+
+test('accountEnv() reads namespaced variables, falling back only for the pair', t => {
+    t.deepEqual(accountEnv('main', env), { clientId: 'main id', key: 'main key', secret: 'main secret', ccy1: 'BTC', ccy2: 'USD' });
+    t.deepEqual(accountEnv('sub-1', env), { clientId: 'sub id', key: 'sub key', secret: 'sub secret', ccy1: 'BTC', ccy2: 'EUR' });
+    t.deepEqual(accountEnv('other', env).key, undefined);
+    t.deepEqual(accountEnv(undefined, env).key, 'plain key');
+});
+
+test('each account gets its own client, with the shared defaults underneath', t => {
+    const pool = new AccountPool({
+        main: { key: 'a', rateLimit: { private: 30 } },
+        hedge: { key: 'b' }
+    }, { defaults: { ccy1: 'BTC', rateLimit: { private: 60 } }, createClient: fakeClient });
+
+    t.deepEqual(pool.names(), ['main', 'hedge']);
+    t.deepEqual(pool.account('main').options, { ccy1: 'BTC', rateLimit: { private: 30 }, account: 'main', key: 'a' });
+    t.deepEqual(pool.account('hedge').options, { ccy1: 'BTC', rateLimit: { private: 60 }, account: 'hedge', key: 'b' });
+    t.throws(() => pool.account('nope'), 'Unknown account: nope');
+    t.throws(() => pool.add('main', {}), 'Account main is already in the pool');
+
+    t.true(pool.remove('hedge'));
+    t.deepEqual(pool.size, 1);
+});
+
+test('accounts cannot share a nonce store', t => {
+    t.throws(() => new AccountPool({}, { defaults: { nonceStore: {} }, createClient: fakeClient }),
+        'Accounts cannot share a nonce store; give each account its own');
+});
+
+test('fromEnv() builds accounts from CEXIO_ACCOUNTS and their namespaced variables', t => {
+    const pool = AccountPool.fromEnv({ env: Object.assign({ CEXIO_ACCOUNTS: 'main, sub-1' }, env), createClient: fakeClient });
+
+    t.deepEqual(pool.names(), ['main', 'sub-1']);
+    t.deepEqual(pool.account('sub-1').options, {
+        account: 'sub-1', clientId: 'sub id', key: 'sub key', secret: 'sub secret', ccy1: 'BTC', ccy2: 'EUR'
+    });
+
+    t.throws(() => AccountPool.fromEnv({ names: ['main', 'missing'], env, createClient: fakeClient }),
+        'No credentials for account missing: set CEXIO_MISSING_CLIENT_ID, CEXIO_MISSING_KEY and CEXIO_MISSING_SECRET');
+    t.throws(() => AccountPool.fromEnv({ env, createClient: fakeClient }), 'No accounts given, and CEXIO_ACCOUNTS is not set');
+});
+
+test('balance() totals every currency across accounts', async t => {
+    const accounts = {
+        main: { balance: { username: 'a', BTC: { available: 0.1, orders: 0.2 }, USD: { available: 10, orders: 0 } } },
+        sub: { balance: { username: 'b', BTC: { available: '0.2', orders: '0' }, ETH: { available: 1, orders: 0.5 } } }
+    };
+
+    const { accounts: balances, total } = await new AccountPool(accounts, { createClient: fakeClient }).balance();
+
+    t.deepEqual(balances.sub.username, 'b');
+    t.deepEqual(total, {
+        BTC: { available: 0.3, orders: 0.2 },
+        USD: { available: 10, orders: 0 },
+        ETH: { available: 1, orders: 0.5 }
+    });
+
+    // totals follow the pool's numbers setting, not any one account's
+    const strings = new AccountPool(accounts, { defaults: { numbers: 'string' }, createClient: fakeClient });
+    t.deepEqual((await strings.balance()).total.BTC, { available: '0.30000000', orders: '0.20000000' });
+});
+
+test('map() names the account that failed', async t => {
+    const pool = new AccountPool({ main: {}, sub: {} }, { createClient: fakeClient });
+
+    t.deepEqual(await pool.map((client, name) => name.length), { main: 4, sub: 3 });
+
+    const err = await t.throws(pool.map((client, name) => {
+        if (name === 'sub') {
+            throw new Error('Permission denied');
+        }
+    }));
+    t.deepEqual(err.account, 'sub');
+});
@@ -0,0 +1,27 @@
+import test from 'ava';
+
+import { normalizePosition, profit } from './lib/position';
+import { createParser } from './lib/numbers';
+
+test('profit() is positive when the price moves in the position\'s favour', t => {
+    t.deepEqual(profit('long', 2, 100, 110), 20);
+    t.deepEqual(profit('short', 2, 100, 110), -20);
+    t.deepEqual(profit('short', '0.5', '100', '90'), 5);
+});
+
+test('normalizePosition() accepts both shapes of pair', t => {
+    const nested = normalizePosition({ id: '1', pair: { symbol1: 'BTC', symbol2: 'USD' }, pamount: 1, oprice: 100, ptype: 'long' }, 90);
+    const flat = normalizePosition({ id: '2', pair: 'BTC:USD', amount: 1, oprice: 100, ptype: 'long' });
+
+    t.deepEqual([nested.pair, nested.symbol1, nested.symbol2, nested.amount, nested.pnl], ['BTC:USD', 'BTC', 'USD', 1, -10]);
+    t.deepEqual([flat.pair, flat.amount, flat.lastPrice, flat.pnl], ['BTC:USD', 1, null, null]);
+});
+
+test('normalizePosition() rounds the PnL to the counter precision before parsing it', t => {
+    const raw = { id: '3', pair: 'BTC:USD', amount: '0.7', oprice: '100.1', ptype: 'long' };
+
+    t.deepEqual(normalizePosition(raw, '100.3', createParser({ numbers: 'string' }), 2).pnl, '0.14');
+    t.deepEqual(normalizePosition(raw, '100.3', createParser({ numbers: 'string' })).pnl, '0.14000000');
+    t.deepEqual(normalizePosition(raw, '100.3', createParser({ numbers: 'decimal', decimal: value => ({ value }) }), 2).pnl, { value: '0.14' });
+    t.deepEqual(normalizePosition(raw, '100.3', createParser(), 2).pnl, 0.14);
+});
@@ -0,0 +1,51 @@
+import test from 'ava';
+
+import { RateLimiter, TokenBucket } from './lib/rate-limiter';
+
+test('TokenBucket hands out its burst immediately then refills over time', async t => {
+    const bucket = new TokenBucket(120, 2); // one token every 500ms
+
+    const start = Date.now();
+    await bucket.take('normal');
+    await bucket.take('normal');
+    t.true(Date.now() - start < 250);
+
+    await bucket.take('normal');
+    t.true(Date.now() - start >= 450);
+});
+
+test('TokenBucket serves higher priority lanes first', async t => {
+    const bucket = new TokenBucket(600, 1);
+    const order = [];
+
+    await bucket.take('normal');
+
+    await Promise.all([
+        bucket.take('low').then(() => order.push('low')),
+        bucket.take('normal').then(() => order.push('normal')),
+        bucket.take('high').then(() => order.push('high'))
+    ]);
+
+    t.deepEqual(order, ['high', 'normal', 'low']);
+});
+
+test('RateLimiter prioritises endpoints and reports queue depth', async t => {
+    const limiter = new RateLimiter({ public: 600, private: 600, burst: 1, priorities: { balance: 'high' } });
+
+    t.deepEqual(limiter.priority('cancel_order/'), 'high');
+    t.deepEqual(limiter.priority('ticker/BTC/USD'), 'low');
+    t.deepEqual(limiter.priority('balance/'), 'high');
+    t.deepEqual(limiter.priority('open_orders'), 'normal');
+
+    await limiter.take('private', 'open_orders');
+    const pending = [
+        limiter.take('private', 'open_orders'),
+        limiter.take('private', 'cancel_order/')
+    ];
+
+    t.deepEqual(limiter.stats().private, { tokens: 0, queued: 2, lanes: { high: 1, normal: 1, low: 0 } });
+    t.deepEqual(limiter.stats().public.tokens, 1);
+
+    await Promise.all(pending);
+    t.deepEqual(limiter.stats().private.queued, 0);
+});
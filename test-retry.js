@@ -0,0 +1,41 @@
+import test from 'ava';
+
+import { retryPolicy, shouldRetry, backoff, defaultRetryOptions } from './lib/retry';
+import { CexioApiError, RateLimitError, NetworkError } from './lib/errors';
+
+function networkError(code) {
+    const err = new NetworkError(code);
+    err.code = code;
+    return err;
+}
+
+test('retryPolicy() classifies endpoints', t => {
+    t.deepEqual(retryPolicy('ticker/BTC/USD'), 'safe');
+    t.deepEqual(retryPolicy('balance/'), 'safe');
+    t.deepEqual(retryPolicy('place_order/BTC/USD'), 'unsent');
+    t.deepEqual(retryPolicy('open_position/BTC/USD'), 'unsent');
+    t.deepEqual(retryPolicy('convert/BTC/USD'), 'unsent');
+    t.deepEqual(retryPolicy('balance/', { balance: 'never' }), 'never');
+});
+
+test('shouldRetry() retries transient errors for safe calls', t => {
+    t.true(shouldRetry(networkError('ECONNRESET'), 'safe'));
+    t.true(shouldRetry(new CexioApiError('HTTP 502', { status: 502 }), 'safe'));
+    t.true(shouldRetry(new RateLimitError('HTTP 429', { status: 429 }), 'safe'));
+    t.false(shouldRetry(new CexioApiError('HTTP 400', { status: 400 }), 'safe'));
+    t.false(shouldRetry(new Error('bug'), 'safe'));
+});
+
+test('shouldRetry() only retries unsent requests for mutations', t => {
+    t.true(shouldRetry(networkError('ECONNREFUSED'), 'unsent'));
+    t.false(shouldRetry(networkError('ECONNRESET'), 'unsent'));
+    t.false(shouldRetry(new CexioApiError('HTTP 502', { status: 502 }), 'unsent'));
+    t.false(shouldRetry(networkError('ECONNREFUSED'), 'never'));
+});
+
+test('backoff() grows exponentially and waits longer after rate limiting', t => {
+    t.deepEqual(backoff(1, new Error(), defaultRetryOptions), 500);
+    t.deepEqual(backoff(3, new Error(), defaultRetryOptions), 2000);
+    t.deepEqual(backoff(10, new Error(), defaultRetryOptions), 10000);
+    t.deepEqual(backoff(1, new RateLimitError(), defaultRetryOptions), 5000);
+});
@@ -0,0 +1,145 @@
+import test from 'ava';
+
+import CEXIO from './';
+
+const book = {
+    timestamp: 1513177918,
+    pair: 'BTC:USD',
+    id: 100,
+    bids: [[3990, 1], [3980, 2]],
+    asks: [[4000, 0.5], [4010, 1]]
+};
+
+// Stands in for CEX.io's public API
+function marketData(options) {
+    if (options.url === 'currency_limits') {
+        return Promise.resolve({ e: 'currency_limits', ok: 'ok', data: { pairs: [
+            { symbol1: 'BTC', symbol2: 'USD', minLotSize: 0.01, minLotSizeS2: 2.5, maxLotSize: 30, minPrice: '100', maxPrice: '100000' }
+        ] } });
+    }
+    if (options.url === 'currency_profile') {
+        return Promise.resolve({ e: 'currency_profile', ok: 'ok', data: {
+            symbols: [{ code: 'BTC', precision: 8 }, { code: 'USD', precision: 2 }],
+            pairs: [{ symbol1: 'BTC', symbol2: 'USD', pricePrecision: 1 }]
+        } });
+    }
+    if (options.url === 'ticker/BTC/USD') {
+        return Promise.resolve({ pair: 'BTC:USD', last: '3995', bid: 3990, ask: 4000 });
+    }
+    return Promise.reject(new Error(`unexpected request for ${ options.url }`));
+}
+
+function simulated(balances) {
+    return new CEXIO.SimulatedCEXIO({
+        ccy1: 'BTC',
+        ccy2: 'USD',
+        balances,
+        fees: { maker: 0.1, taker: 0.2 },
+        orderBooks: { 'BTC:USD': book },
+        retryOptions: { retries: 0 },
+        rateLimit: false
+    }, marketData);
+}
+
+const closeTo = (t, actual, expected) => t.true(Math.abs(actual - expected) < 1e-8, `${ actual } is not ${ expected }`);
+
+test('limit orders take liquidity, rest, and fill when a later snapshot crosses them', async t => {
+    const cexio = simulated({ USD: 10000 });
+
+    const order = await cexio.placeOrder({ type: 'buy', amount: 1, price: 4005 });
+
+    t.deepEqual(order.complete, false);
+    t.deepEqual(order.pending, 0.5);
+
+    // 0.5 bought at 4000 plus the taker fee, and 0.5 at 4005 plus the maker fee held back
+    let balance = await cexio.balance();
+    t.deepEqual(balance.BTC, { available: 0.5, orders: 0 });
+    t.deepEqual(balance.USD, { available: 5991.4975, orders: 2004.5025 });
+
+    const open = await cexio.openOrders();
+    t.deepEqual(open.map(({ id, pending }) => [id, pending]), [[order.id, 0.5]]);
+    t.deepEqual(await cexio.activeOrdersStatus([order.id]), [[order.id, 1, 0.5]]);
+
+    cexio.exchange.setOrderBook('BTC', 'USD', Object.assign({}, book, { id: 101, asks: [[4004, 2]] }));
+
+    balance = await cexio.balance();
+    t.deepEqual(balance.BTC, { available: 1, orders: 0 });
+    t.deepEqual(balance.USD, { available: 5991.4975, orders: 0 });
+
+    const filled = await cexio.getOrder(order.id);
+    t.deepEqual(filled.status, 'd');
+    t.deepEqual(filled.remains, 0);
+    t.deepEqual(filled['tta:USD'], 2000);
+    t.deepEqual(filled['ta:USD'], 2002.5);
+    t.deepEqual(await cexio.activeOrdersStatus([order.id]), []);
+});
+
+test('market sells walk the bids', async t => {
+    const cexio = simulated({ BTC: 2 });
+
+    const order = await cexio.placeOrder({ type: 'sell', amount: 1.5, orderType: 'market' });
+    t.deepEqual(order.complete, true);
+
+    const balance = await cexio.balance();
+    t.deepEqual(balance.BTC, { available: 0.5, orders: 0 });
+    // 3990 + 0.5 * 3980, less 0.2%
+    t.deepEqual(balance.USD, { available: 5968.04, orders: 0 });
+});
+
+test('orders beyond the virtual balance are rejected as insufficient funds', async t => {
+    const cexio = simulated({ USD: 100 });
+
+    const err = await t.throws(cexio.placeOrder({ type: 'buy', amount: 1, price: 4005 }));
+
+    t.true(err instanceof CEXIO.InsufficientFundsError);
+    t.deepEqual((await cexio.balance()).USD, { available: 100, orders: 0 });
+});
+
+test('cancelling an order releases its funds', async t => {
+    const cexio = simulated({ USD: 10000 });
+
+    const order = await cexio.placeOrder({ type: 'buy', amount: 1, price: 3900 });
+    t.deepEqual((await cexio.balance()).USD, { available: 6096.1, orders: 3903.9 });
+
+    t.deepEqual(await cexio.cancelOrder(order.id), true);
+    t.deepEqual((await cexio.balance()).USD, { available: 10000, orders: 0 });
+    t.deepEqual((await cexio.getOrder(order.id)).status, 'c');
+
+    const err = await t.throws(cexio.cancelOrder(order.id));
+    t.true(err instanceof CEXIO.InvalidOrderError);
+});
+
+test('positions are opened, reported and closed against the book', async t => {
+    const cexio = simulated({ BTC: 1 });
+
+    const position = await cexio.openPosition({ amount: 1, ptype: 'long', leverage: 2, eoprice: 4000 });
+
+    // 0.5 at 4000 and 0.5 at 4010; the last price is the middle of the recorded book
+    t.deepEqual(position.openPrice, 4005);
+    t.deepEqual(position.leverage, 2);
+    t.deepEqual(position.lastPrice, 3995);
+    t.deepEqual(position.pnl, -10);
+    t.deepEqual((await cexio.balance()).BTC, { available: 0.498, orders: 0.5 });
+
+    t.deepEqual((await cexio.getPosition(position.id)).status, 'a');
+    t.deepEqual((await cexio.openPositions()).length, 1);
+
+    const closed = await cexio.closePosition(position.id);
+    t.deepEqual(closed.price, 3990);
+    closeTo(t, closed.profit, -15 / 3990 - 0.002);
+
+    const balance = await cexio.balance();
+    closeTo(t, balance.BTC.available, 1 - 0.002 - 0.002 - 15 / 3990);
+    t.deepEqual(balance.BTC.orders, 0);
+
+    t.deepEqual(await cexio.openPositions(), []);
+    t.deepEqual((await cexio.archivedPositions()).map(({ id, status }) => [id, status]), [[position.id, 'c']]);
+});
+
+test('public calls are answered from recorded books or passed through to req', async t => {
+    const cexio = simulated({});
+
+    t.deepEqual((await cexio.orderBook()).asks, book.asks);
+    t.deepEqual(await cexio.lastPrice(), 3995);
+    t.deepEqual((await cexio.ticker()).last, 3995);
+});
@@ -0,0 +1,277 @@
+import test from 'ava';
+import crypto from 'crypto';
+import util from 'util';
+import WebSocket from 'ws';
+
+import { CEXIOStream } from './lib/stream';
+
+const key = 'key';
+const secret = 'intergalactic space badgers';
+
+// A stand-in for wss://ws.cex.io/ws that records what it receives
+function createServer(handle = () => {}) {
+    return new Promise(resolve => {
+        const server = new WebSocket.Server({ port: 0 }, () => {
+            server.url = `ws://localhost:${ server.address().port }`;
+            resolve(server);
+        });
+
+        server.received = [];
+        server.on('connection', socket => {
+            socket.reply = message => socket.send(JSON.stringify(message));
+            socket.on('message', raw => {
+                const message = JSON.parse(raw);
+                server.received.push(message);
+                server.emit('received', message);
+
+                if (message.e === 'auth') {
+                    const { timestamp, signature } = message.auth;
+                    const expected = crypto.createHmac('sha256', secret).update(timestamp + key).digest('hex');
+                    socket.reply(signature === expected
+                        ? { e: 'auth', data: { ok: 'ok' }, ok: 'ok' }
+                        : { e: 'auth', data: { error: 'Invalid signature' }, ok: 'error' });
+                }
+
+                handle(socket, message);
+            });
+            socket.reply({ e: 'connected' });
+        });
+    });
+}
+
+function receivedCount(server, count) {
+    return new Promise(resolve => {
+        const check = () => {
+            if (server.received.length >= count) {
+                server.removeListener('received', check);
+                resolve(server.received);
+            }
+        };
+        server.on('received', check);
+        check();
+    });
+}
+
+function nextEvent(emitter, name) {
+    return new Promise(resolve => emitter.once(name, (...args) => resolve(args)));
+}
+
+test('connect() authenticates with the key and secret', async t => {
+    const server = await createServer();
+    const stream = new CEXIOStream({ key, secret, url: server.url });
+
+    await stream.connect();
+
+    t.true(stream.authenticated);
+    t.deepEqual(server.received[0].auth.key, key);
+
+    stream.close();
+    server.close();
+});
+
+test('connect() rejects when authentication fails', async t => {
+    const server = await createServer();
+    const stream = new CEXIOStream({ key, secret: 'wrong', url: server.url });
+
+    const err = await t.throws(stream.connect());
+
+    t.deepEqual(err.name, 'AuthenticationError');
+    t.deepEqual(err.message, 'Invalid signature');
+
+    server.close();
+});
+
+test('connect() loads credentials from a provider, and never keeps the secret', async t => {
+    const server = await createServer();
+    let loads = 0;
+    const stream = new CEXIOStream({
+        url: server.url,
+        credentials: async () => {
+            loads++;
+            return { key, secret };
+        }
+    });
+
+    await stream.connect();
+
+    t.true(stream.authenticated);
+    t.deepEqual(loads, 1);
+    t.false(util.inspect(stream, { depth: 4 }).includes(secret));
+
+    stream.close();
+    server.close();
+});
+
+test('an account reads its own namespaced environment variables', async t => {
+    const server = await createServer();
+    Object.assign(process.env, { CEXIO_STREAM_TEST_KEY: key, CEXIO_STREAM_TEST_SECRET: secret });
+    const stream = new CEXIOStream({ account: 'stream-test', url: server.url });
+
+    await stream.connect();
+
+    t.true(stream.authenticated);
+    t.deepEqual(server.received[0].auth.key, key);
+
+    stream.close();
+    server.close();
+});
+
+test('rejected credentials are loaded again, and rotated ones used, by the next connect()', async t => {
+    const server = await createServer();
+    const secrets = ['wrong', secret];
+    const stream = new CEXIOStream({ url: server.url, credentials: () => ({ key, secret: secrets.shift() }) });
+
+    const err = await t.throws(stream.connect());
+    t.deepEqual(err.name, 'AuthenticationError');
+
+    await stream.connect();
+    t.true(stream.authenticated);
+    stream.close();
+
+    const plain = new CEXIOStream({ url: server.url });
+    await plain.rotateCredentials({ key, secret }).connect();
+    t.true(plain.authenticated);
+
+    plain.close();
+    server.close();
+});
+
+test('pings are answered with pongs', async t => {
+    const server = await createServer();
+    const stream = new CEXIOStream({ url: server.url });
+
+    await stream.connect();
+    const [socket] = server.clients;
+    const pong = new Promise(resolve => socket.on('message', raw => resolve(JSON.parse(raw))));
+    socket.reply({ e: 'ping', time: 1 });
+
+    t.deepEqual(await pong, { e: 'pong' });
+
+    stream.close();
+    server.close();
+});
+
+test('a ping arriving while the socket closes does not throw', t => {
+    const stream = new CEXIOStream({ url: 'ws://localhost' });
+    const errors = [];
+    stream.on('error', err => errors.push(err));
+    stream.ws = { readyState: WebSocket.CLOSING, close() {} };
+
+    t.notThrows(() => stream._onMessage(JSON.stringify({ e: 'ping' })));
+    t.deepEqual(errors.map(err => err.name), ['NetworkError']);
+
+    stream.close();
+});
+
+test('an error message from the server does not throw without an error listener', t => {
+    const stream = new CEXIOStream({ url: 'ws://localhost' });
+    const raw = JSON.stringify({ e: 'error', data: { error: 'Internal error' } });
+
+    t.notThrows(() => stream._onMessage(raw));
+
+    const errors = [];
+    stream.on('error', err => errors.push(err));
+    stream._onMessage(raw);
+    t.deepEqual(errors.map(err => [err.name, err.message]), [['CexioApiError', 'Internal error']]);
+
+    stream.close();
+});
+
+test('messages are emitted under their event names', async t => {
+    const server = await createServer((socket, message) => {
+        if (message.e === 'subscribe') {
+            socket.reply({ e: 'tick', data: { symbol1: 'BTC', symbol2: 'USD', price: '4150.2' } });
+        }
+    });
+    const stream = new CEXIOStream({ url: server.url });
+
+    await stream.connect();
+    const tick = nextEvent(stream, 'tick');
+    await stream.subscribeTickers();
+
+    const [data, message] = await tick;
+    t.deepEqual(data, { symbol1: 'BTC', symbol2: 'USD', price: 4150.2 });
+    t.deepEqual(message.e, 'tick');
+
+    stream.close();
+    server.close();
+});
+
+test('subscribeOrderBook() resolves with the snapshot', async t => {
+    const server = await createServer((socket, message) => {
+        if (message.e === 'order-book-subscribe') {
+            socket.reply({
+                e: 'order-book-subscribe',
+                oid: message.oid,
+                ok: 'ok',
+                data: { id: 67809, pair: 'BTC:USD', bids: [[4150, '0.5']], asks: [[4151, '1.2']] }
+            });
+            socket.reply({ e: 'md_update', data: { id: 67810, pair: 'BTC:USD', bids: [[4150, 0]], asks: [] } });
+        }
+    });
+    const stream = new CEXIOStream({ key, secret, url: server.url });
+
+    await stream.connect();
+    const update = nextEvent(stream, 'md_update');
+    const snapshot = await stream.subscribeOrderBook('BTC', 'USD', 10);
+
+    t.deepEqual(snapshot, { id: 67809, pair: 'BTC:USD', bids: [[4150, 0.5]], asks: [[4151, 1.2]] });
+    t.deepEqual(server.received[1].data, { pair: ['BTC', 'USD'], subscribe: true, depth: 10 });
+    t.deepEqual((await update)[0].id, 67810);
+
+    stream.close();
+    server.close();
+});
+
+test('request() rejects when the reply is an error', async t => {
+    const server = await createServer((socket, message) => {
+        socket.reply({ e: message.e, oid: message.oid, ok: 'error', data: { error: 'Unknown pair' } });
+    });
+    const stream = new CEXIOStream({ url: server.url });
+
+    await stream.connect();
+    const err = await t.throws(stream.request('get-balance'));
+
+    t.deepEqual(err.message, 'Unknown pair');
+
+    stream.close();
+    server.close();
+});
+
+test('request() rejects with a NetworkError when no reply arrives in time', async t => {
+    const server = await createServer();
+    const stream = new CEXIOStream({ url: server.url, replyTimeout: 20 });
+
+    await stream.connect();
+    const err = await t.throws(stream.request('get-balance'));
+
+    t.deepEqual(err.name, 'NetworkError');
+    t.deepEqual(err.message, 'No reply to get-balance within 20ms');
+    t.deepEqual(stream.pending.size, 0);
+
+    stream.close();
+    server.close();
+});
+
+test('reconnects, re-authenticates and re-subscribes after the connection drops', async t => {
+    const server = await createServer();
+    const stream = new CEXIOStream({ key, secret, url: server.url, reconnectDelay: 10 });
+
+    await stream.connect();
+    await stream.subscribeTickers();
+    await receivedCount(server, 2);
+
+    const reconnecting = nextEvent(stream, 'reconnecting');
+    const ready = nextEvent(stream, 'ready');
+    server.clients.forEach(socket => socket.terminate());
+
+    t.deepEqual((await reconnecting)[0], { attempt: 1, delay: 10 });
+    await ready;
+
+    t.true(stream.authenticated);
+    const received = await receivedCount(server, 4);
+    t.deepEqual(received.map(message => message.e), ['auth', 'subscribe', 'auth', 'subscribe']);
+
+    stream.close();
+    server.close();
+});
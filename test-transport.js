@@ -0,0 +1,158 @@
+import test from 'ava';
+import http from 'http';
+
+import { HttpsTransport } from './lib/transport';
+import { abortController } from './helpers/abort-controller';
+
+const servers = new Set();
+
+// A local server that answers every request with `handler`, counting the
+// connections it accepts (as `accepted`: before Node 15 `connections` is the
+// server's own, and changing it stops close() from ever finishing)
+async function serve(handler) {
+    const server = http.createServer(handler);
+    server.accepted = 0;
+    server.sockets = new Set();
+    server.on('connection', socket => {
+        server.accepted++;
+        server.sockets.add(socket);
+        socket.on('close', () => server.sockets.delete(socket));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    server.url = `http://127.0.0.1:${ server.address().port }/`;
+    servers.add(server);
+    return server;
+}
+
+function close(server) {
+    servers.delete(server);
+    return new Promise(resolve => server.close(resolve));
+}
+
+// a test that fails part way leaves its server, and maybe kept-alive sockets, open
+test.after.always(() => Promise.all(Array.from(servers).map(server => {
+    server.sockets.forEach(socket => socket.destroy());
+    return close(server);
+})));
+
+test('req() sends the query and body and parses JSON responses', async t => {
+    const server = await serve((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => res.end(JSON.stringify({ method: req.method, url: req.url, body, type: req.headers['content-type'] })));
+    });
+    const transport = new HttpsTransport({ proxy: null });
+
+    const get = await transport.req({ baseUrl: server.url, url: 'order_book/BTC/USD', qs: { depth: 5, since: undefined }, json: true });
+    const post = await transport.req({
+        baseUrl: server.url,
+        url: 'balance/',
+        method: 'POST',
+        body: 'nonce=1&key=k',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        json: true
+    });
+
+    t.deepEqual(get, { method: 'GET', url: '/order_book/BTC/USD?depth=5', body: '' });
+    t.deepEqual(post, { method: 'POST', url: '/balance/', body: 'nonce=1&key=k', type: 'application/x-www-form-urlencoded' });
+
+    transport.destroy();
+    await close(server);
+});
+
+test('connections are kept alive and reused', async t => {
+    const server = await serve((req, res) => res.end('{}'));
+    const transport = new HttpsTransport({ proxy: null });
+
+    for (let i = 0; i < 3; i++) {
+        await transport.req({ baseUrl: server.url, url: 'ticker/BTC/USD', json: true });
+    }
+
+    t.deepEqual(server.accepted, 1);
+
+    transport.destroy();
+    await close(server);
+});
+
+test('error statuses reject like request-promise, with the body', async t => {
+    const server = await serve((req, res) => {
+        res.statusCode = req.url === '/json' ? 403 : 502;
+        res.end(req.url === '/json' ? '{"error":"Permission denied"}' : '<html>Bad gateway</html>');
+    });
+    const transport = new HttpsTransport({ proxy: null });
+
+    const jsonErr = await t.throws(transport.req({ baseUrl: server.url, url: 'json', json: true }));
+    const htmlErr = await t.throws(transport.req({ baseUrl: server.url, url: 'html', json: true }));
+
+    t.deepEqual([jsonErr.name, jsonErr.statusCode, jsonErr.error], ['StatusCodeError', 403, { error: 'Permission denied' }]);
+    t.deepEqual([htmlErr.statusCode, htmlErr.error], [502, '<html>Bad gateway</html>']);
+
+    transport.destroy();
+    await close(server);
+});
+
+test('requests that take too long time out', async t => {
+    const server = await serve(() => {});
+    const transport = new HttpsTransport({ timeout: 5000, proxy: null });
+
+    const err = await t.throws(transport.req({ baseUrl: server.url, url: 'ticker/BTC/USD', json: true, timeout: 50 }));
+
+    t.deepEqual(err.name, 'RequestError');
+    t.deepEqual(err.cause.code, 'ETIMEDOUT');
+
+    transport.destroy();
+    await close(server);
+});
+
+test('requests can be aborted before and while they are in flight', async t => {
+    const server = await serve(() => {});
+    const transport = new HttpsTransport({ proxy: null });
+
+    const controller = abortController();
+    const pending = transport.req({ baseUrl: server.url, url: 'ticker/BTC/USD', signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+
+    const inFlight = await t.throws(pending);
+    const already = await t.throws(transport.req({ baseUrl: server.url, url: 'ticker/BTC/USD', signal: controller.signal }));
+
+    t.deepEqual([inFlight.name, inFlight.code], ['AbortError', 'ABORT_ERR']);
+    t.deepEqual(already.name, 'AbortError');
+
+    transport.destroy();
+    await close(server);
+});
+
+test('http requests through a proxy ask it for the absolute URL', async t => {
+    const proxy = await serve((req, res) => res.end(JSON.stringify({ url: req.url, auth: req.headers['proxy-authorization'] })));
+    const transport = new HttpsTransport({ proxy: proxy.url.replace('//', '//user:p%40ss@') });
+
+    const res = await transport.req({ baseUrl: 'http://cex.example/api/', url: 'ticker/BTC/USD', json: true });
+
+    t.deepEqual(res, {
+        url: 'http://cex.example/api/ticker/BTC/USD',
+        auth: `Basic ${ Buffer.from('user:p@ss').toString('base64') }`
+    });
+
+    transport.destroy();
+    await close(proxy);
+});
+
+test('https requests are tunnelled through the proxy with CONNECT', async t => {
+    const proxy = await serve(() => {});
+    const connects = [];
+    proxy.on('connect', (req, socket) => {
+        connects.push(req.url);
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    });
+    const transport = new HttpsTransport({ proxy: proxy.url });
+
+    const err = await t.throws(transport.req({ baseUrl: 'https://cex.io/api/', url: 'ticker/BTC/USD', json: true }));
+
+    t.deepEqual(connects, ['cex.io:443']);
+    t.deepEqual(err.name, 'RequestError');
+    t.deepEqual(err.cause.code, 'EPROXY');
+
+    transport.destroy();
+    await close(proxy);
+});
@@ -0,0 +1,182 @@
+// Compiled, never run, by `npm run test:types`. Lines marked @ts-expect-error
+// must fail to type check.
+import CEXIO = require('./');
+
+declare function expectType<T>(value: T): void;
+
+async function client() {
+    const cexio = new CEXIO({ ccy1: 'BTC', ccy2: 'USD', retryOptions: { retries: 3, policies: { place_order: 'never' } } });
+
+    const ticker = await cexio.ticker();
+    expectType<number>(ticker.last);
+    expectType<string>(ticker.timestamp);
+
+    const book = await cexio.orderBook(10, 'BTC', 'EUR');
+    expectType<Array<[number, number]>>(book.bids);
+
+    const balance = await cexio.balance();
+    expectType<number>(balance.BTC.available);
+    expectType<string>(balance.username);
+
+    const order = await cexio.placeOrder({ type: 'buy', amount: 0.5, price: '4000.1', ccy1: 'BTC', ccy2: 'USD' });
+    expectType<string>(order.id);
+    expectType<number>(order.pending);
+
+    // @ts-expect-error orders are 'buy' or 'sell'
+    await cexio.placeOrder({ type: 'long', amount: 1 });
+
+    expectType<true>(await cexio.cancelOrder(order.id));
+    expectType<string[]>(await cexio.cancelAllOrders());
+    expectType<Array<[string, number, number]>>(await cexio.activeOrdersStatus([order.id]));
+
+    const details = await cexio.getOrder(order.id);
+    if (details.status === 'cd') {
+        expectType<number>(details.remains);
+    }
+
+    const position = await cexio.openPosition({ amount: 1, ptype: 'short', leverage: 2, eoprice: 4000 });
+    expectType<number | null>(position.pnl);
+    expectType<'long' | 'short'>(position.ptype);
+
+    // @ts-expect-error eoprice is required
+    await cexio.openPosition({ amount: 1 });
+
+    // @ts-expect-error ptype is 'long' or 'short'
+    await cexio.openPosition({ amount: 1, eoprice: 4000, ptype: 'sideways' });
+
+    const stats = await cexio.priceStats(24, 100);
+    expectType<string>(stats[0].tmsp);
+    expectType<number>(stats[0].price);
+
+    const candles = await cexio.ohlcv({ from: new Date('2017-12-01'), resolution: '1h' });
+    expectType<number>(candles[0].close);
+
+    for await (const archived of cexio.archivedOrdersIterator({ dateFrom: '2017-01-01', window: 3600 })) {
+        expectType<string>(archived.id);
+    }
+
+    for await (const trade of cexio.tradeHistoryIterator({ since: 100 })) {
+        expectType<string>(trade.tid);
+    }
+
+    const address = await cexio.getAddress('XRP');
+    expectType<string | undefined>(address.destination);
+
+    expectType<CEXIO.QueueStats | null>(cexio.queueStats());
+    expectType<CEXIO.MarketPair>(await cexio.marketInfo.pair('BTC', 'USD'));
+}
+
+async function pairs() {
+    const cexio = new CEXIO({ pair: 'BTC/USD' });
+
+    await cexio.lastPrice('ETH/EUR');
+    await cexio.orderBook(10, { base: 'ETH', quote: 'EUR' });
+    await cexio.placeOrder({ type: 'sell', amount: 1, price: 300, pair: CEXIO.Pair.from('ETH:EUR') });
+
+    const ethEur = cexio.pair('ETH/EUR');
+    expectType<string>(ethEur.pair.key);
+    expectType<number>((await ethEur.ticker()).last);
+    expectType<string[]>(await ethEur.cancelAllOrders());
+
+    // @ts-expect-error views take no currency arguments
+    await ethEur.orderBook(10, 'BTC', 'USD');
+
+    // @ts-expect-error pairs have a base and a quote
+    cexio.pair({ base: 'ETH' });
+}
+
+async function numbers() {
+    const strings = new CEXIO<string>({ numbers: 'string' });
+    expectType<string>((await strings.ticker()).last);
+
+    class Big {
+        constructor(public value: string) {}
+        toFixed(dp?: number) { return this.value; }
+    }
+    const decimals = new CEXIO<Big>({ numbers: 'decimal', decimal: value => new Big(value) });
+    const price: Big = await decimals.lastPrice();
+    await decimals.convert(price);
+
+    // @ts-expect-error numbers is 'float', 'string' or 'decimal'
+    new CEXIO({ numbers: 'bigint' });
+}
+
+async function errors() {
+    try {
+        await new CEXIO().balance();
+    } catch (err) {
+        if (err instanceof CEXIO.InsufficientFundsError) {
+            expectType<string | undefined>(err.endpoint);
+        }
+        if (err instanceof CEXIO.NetworkError) {
+            expectType<string | undefined>(err.code);
+        }
+        if (err instanceof CEXIO.AbortError) {
+            expectType<'ABORT_ERR'>(err.code);
+        }
+        expectType<boolean>(err instanceof CEXIO.CexioApiError);
+    }
+}
+
+async function extras() {
+    const cexio = new CEXIO({ nonceStore: new CEXIO.FileNonceStore('/tmp/nonce'), rateLimit: false });
+
+    const stream = new CEXIO.CEXIOStream({ key: 'key', secret: 'secret' });
+    new CEXIO.CEXIOStream({ account: 'main', credentials: new CEXIO.EnvCredentials('main') }).rotateCredentials(async () => ({ clientId: 'id', key: 'key', secret: 'secret' }));
+    stream.on('reconnecting', ({ attempt, delay }) => expectType<number>(attempt + delay));
+    await stream.connect();
+
+    const book = new CEXIO.LiveOrderBook({ client: cexio, stream, ccy1: 'BTC', ccy2: 'USD' });
+    await book.start();
+    expectType<number | null>(book.vwapFor(2, 'buy'));
+    book.on('stale', err => expectType<Error>(err));
+    // @ts-expect-error null while the book is not synced
+    book.depthAt(4100).bids;
+
+    const tracker = new CEXIO.OrderTracker({ client: cexio, stream });
+    tracker.on('failed', ({ id, error }) => expectType<[string, CEXIO.CexioApiError]>([id, error]));
+    const done = await tracker.track('1').awaitOrder('1', { timeout: 1000 });
+    expectType<'active' | 'filled' | 'cancelled'>(done.status);
+
+    const sim = new CEXIO.SimulatedCEXIO({ balances: { USD: 1000 }, fees: { taker: 0.25 } });
+    sim.exchange.setOrderBook('BTC', 'USD', { id: 1, bids: [[4000, 1]], asks: [['4001', '2']] });
+
+    const transport = new CEXIO.HttpsTransport({ timeout: 10000, proxy: 'http://proxy.local:3128' });
+    const controller: { signal: CEXIO.AbortSignal } = { signal: { aborted: false, addEventListener() {}, removeEventListener() {} } };
+    const withSignal = new CEXIO({ transport: { keepAlive: false } }, transport.req).withOptions({ signal: controller.signal, timeout: 500 });
+    expectType<CEXIO.Ticker>(await withSignal.ticker());
+    transport.destroy();
+
+    const cached = new CEXIO({ cache: { ttls: { order_book: 250 }, defaultTtl: 0 } });
+    cached.invalidateCache('order_book');
+    expectType<number | undefined>(cached.cacheStats()?.coalesced);
+    new CEXIO({ cache: true });
+
+    const metrics = new CEXIO.Metrics({ buckets: [0.1, 1] });
+    new CEXIO({ middleware: [metrics] }).use(CEXIO.requestLogger({ log: entry => expectType<string>(entry.endpoint) })).use({
+        beforeRequest: ctx => { ctx.request.headers = { 'X-Trace': String(ctx.attempt) }; },
+        onError: async ctx => expectType<Error | undefined>(ctx.error)
+    });
+    expectType<number | null>(metrics.snapshot().ticker.latency.mean);
+    expectType<string>(metrics.toPrometheus());
+
+    const vaulted = new CEXIO({ credentials: async () => ({ clientId: 'id', key: 'key', secret: 'secret', expires: new Date() }) });
+    expectType<string>((await vaulted.loadCredentials()).key);
+    vaulted.rotateCredentials(new CEXIO.FileCredentials('credentials.json', { account: 'main' })).rotateCredentials();
+    new CEXIO({ credentials: new CEXIO.EnvCredentials('main') });
+    // @ts-expect-error the secret is not kept on the client
+    vaulted.secret;
+
+    const pool = CEXIO.CEXIOPool.fromEnv({ names: ['main', 'hedge'], defaults: { rateLimit: { private: 30 } } });
+    pool.add('sub', { account: 'sub', pair: 'ETH/USD' });
+    expectType<CEXIO>(pool.account('main'));
+    expectType<{ [name: string]: number }>(await pool.map(client => client.lastPrice()));
+    expectType<number>((await pool.balance()).total.BTC.available);
+    new CEXIO.CEXIOPool<string>({ main: { numbers: 'string' } }).account('main').use({ beforeRequest: ctx => expectType<string | undefined>(ctx.account) });
+
+    const cassette = new CEXIO.Cassette('fixtures/balance.json', { mode: 'record' });
+    new CEXIO({}, cassette.req);
+    await cassette.save();
+}
+
+export { client, pairs, numbers, errors, extras };
@@ -1,8 +1,11 @@
 import test from 'ava';
 import nock from 'nock';
 import crypto from 'crypto';
+import querystring from 'querystring';
+import _ from 'lodash';
 
 import CEXIO from './';
+import { abortController } from './helpers/abort-controller';
 
 const reqHeaders = {
     "User-Agent": "Mozilla/4.0 (Node.js CEXIO client)",
@@ -28,7 +31,7 @@ function checkSignature(body) {
     const { nonce, key } = body;
 
     const message = nonce.toString() + clientId + key;
-    const hmac = crypto.createHmac('sha256', new Buffer(secret));
+    const hmac = crypto.createHmac('sha256', Buffer.from(secret));
 
     hmac.update(message);
 
@@ -97,7 +100,7 @@ test('ticker() queries the correct URL and maps the response', async t => {
     const res = await subject.ticker();
 
     const expected = {
-        timestamp: 1499370848,
+        timestamp: '1499370848',
         low: 2638.457,
         high: 2690,
         last: 2662.1244,
@@ -129,9 +132,9 @@ test('lastPrice() queries the correct URL', async t => {
     t.deepEqual(res, expected);
 });
 
-test('convert() queries the correct URL', async t => {
+test.serial('convert() queries the correct URL', async t => {
 
-    nock('https://cex.io', reqHeaders)
+    nockMarketInfo()
     .post('/api/convert/BTC/EUR', body => {
         t.deepEqual(body.signature, checkSignature(body));
         t.deepEqual(body.amnt, '2.50000000');
@@ -176,11 +179,11 @@ test('priceStats() queries the correct URL', async t => {
 
     const expected = [
         {
-            tmsp: 1411985700,
+            tmsp: '1411985700',
             price: 400
         },
         {
-            tmsp: 1412072100,
+            tmsp: '1412072100',
             price: 380
         }
     ];
@@ -326,8 +329,8 @@ test('openOrders() queries the correct URL', async t => {
 
     const expected = [
         {
-            id: 13837040,
-            time: 1460020144872,
+            id: '13837040',
+            time: '1460020144872',
             type: 'sell',
             price: 411.626,
             amount: 1.00000000,
@@ -336,8 +339,8 @@ test('openOrders() queries the correct URL', async t => {
             symbol2: 'EUR'
         },
         {
-            id: 16452929,
-            time: 1462355019816,
+            id: '16452929',
+            time: '1462355019816',
             type: 'buy',
             price: 400,
             amount: 1.00000000,
@@ -382,9 +385,9 @@ test('activeOrderStatus() queries the correct URL', async t => {
     ]);
 
     const expected = [
-        [ 8550408, 0, 0 ],
-        [ 8550495, 0.02000000, 0.02000000 ],
-        [ 8550497, 0.04000000, 0.02700000 ]
+        [ '8550408', 0, 0 ],
+        [ '8550495', 0.02000000, 0.02000000 ],
+        [ '8550497', 0.04000000, 0.02700000 ]
     ];
 
     t.deepEqual(res, expected);
@@ -448,7 +451,7 @@ test('openPositions() queries the correct URL', async t => {
     const expected = [
         {
             'user': 'ud100036721',
-            'id': 104102,
+            'id': '104102',
             'otime': 1475602208467,
             'symbol': 'BTC',
             'amount': 1.00000000,
@@ -470,7 +473,7 @@ test('openPositions() queries the correct URL', async t => {
             'omamount': 303.75,
             'lamount': 303.75,
 
-            'oorder': 34106774,
+            'oorder': '34106774',
             'rinterval': 14400000,
 
             'dfl': 520.32320000,
@@ -534,9 +537,9 @@ test('closePosition() queries the correct URL', async t => {
 });
 
 
-test('openPosition() queries the correct URL', async t => {
+test.serial('openPosition() queries the correct URL', async t => {
 
-    nock('https://cex.io', reqHeaders)
+    nockMarketInfo()
     .post('/api/open_position/BTC/EUR', body => {
         t.deepEqual(body.signature, checkSignature(body));
         t.deepEqual(body.amount, '1.00000000');
@@ -544,8 +547,8 @@ test('openPosition() queries the correct URL', async t => {
         t.deepEqual(body.leverage, '2');
         t.deepEqual(body.ptype, 'long');
         t.deepEqual(body.anySlippage, 'true');
-        t.deepEqual(body.eoprice, '650.32320000');
-        t.deepEqual(body.stopLossPrice, '650.32320000');
+        t.deepEqual(body.eoprice, '650.3232');
+        t.deepEqual(body.stopLossPrice, '650.3232');
         return true;
     })
     .reply(200, {
@@ -573,7 +576,9 @@ test('openPosition() queries the correct URL', async t => {
             'cfee': '4',
             'tfeeAmount': '3.04'
         }
-    });
+    })
+    .get('/api/last_price/BTC/USD')
+    .reply(200, { 'curr1': 'BTC', 'curr2': 'USD', 'lprice': '617.98' });
 
     const subject = new CEXIO(defaultCreationArgs);
 
@@ -587,28 +592,1657 @@ test('openPosition() queries the correct URL', async t => {
 
     const res = await subject.openPosition(args);
 
-    const expected = {
-        'id': 104034,
-        'otime': 1475484979608,
+    t.deepEqual(_.omit(res, 'pnl'), {
+        id: 104034,
+        pair: 'BTC:USD',
+        symbol1: 'BTC',
+        symbol2: 'USD',
+        ptype: 'long',
+        amount: 1,
+        openPrice: 607.98,
+        stopLossPrice: 520.3232,
+        leverage: 2,
+        openTime: 1475484979608,
+        status: undefined,
+        lastPrice: 617.98,
+        raw: {
+            'leverage': 2,
+            'id': 104034,
+            'otime': 1475484979608,
 
-        'psymbol': 'BTC',
-        'msymbol': 'USD',
-        'lsymbol': 'USD',
-        'pair': {
-            'symbol1': 'BTC',
-            'symbol2': 'USD',
-        },
-        'pamount': 1,
-        'omamount': 303.99,
-        'lamount': 303.99,
-        'oprice': 607.9800,
-        'ptype': 'long',
-        'stopLossPrice': 520.3232,
+            'psymbol': 'BTC',
+            'msymbol': 'USD',
+            'lsymbol': 'USD',
+            'pair': {
+                'symbol1': 'BTC',
+                'symbol2': 'USD',
+            },
+            'pamount': 1,
+            'omamount': 303.99,
+            'lamount': 303.99,
+            'oprice': 607.9800,
+            'ptype': 'long',
+            'stopLossPrice': 520.3232,
+
+            'pfee': 3,
+            'cfee': 4,
+            'tfeeAmount': 3.04
+        }
+    });
+    t.true(Math.abs(res.pnl - 10) < 1e-9);
+});
+
+test.serial('openPosition() leaves the PnL unknown if the last price cannot be fetched', async t => {
+
+    nockMarketInfo()
+    .post('/api/open_position/BTC/EUR', body => {
+        t.false('stopLossPrice' in body);
+        t.deepEqual(body.ptype, 'short');
+        return true;
+    })
+    .reply(200, {
+        'e': 'open_position',
+        'ok': 'ok',
+        'data': {
+            'id': 104035,
+            'pair': { 'symbol1': 'BTC', 'symbol2': 'EUR' },
+            'pamount': '1.00000000',
+            'oprice': '600.0000',
+            'ptype': 'short'
+        }
+    })
+    .get('/api/last_price/BTC/EUR')
+    .reply(500, 'oops');
+
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { retryOptions: { retries: 0 } }));
+
+    const res = await subject.openPosition({ amount: 1, ptype: 'Short', eoprice: 600 });
+
+    t.deepEqual(res.id, 104035);
+    t.deepEqual(res.leverage, 3);
+    t.deepEqual(res.lastPrice, null);
+    t.deepEqual(res.pnl, null);
+});
+
+test('openPosition() validates ptype, leverage and eoprice before sending anything', async t => {
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const badType = await t.throws(subject.openPosition({ amount: 1, ptype: 'sideways', eoprice: 600 }));
+    t.true(badType instanceof CEXIO.InvalidOrderError);
+    t.regex(badType.message, /ptype/);
+
+    const badLeverage = await t.throws(subject.openPosition({ amount: 1, leverage: 1.5, eoprice: 600 }));
+    t.true(badLeverage instanceof CEXIO.InvalidOrderError);
+    t.regex(badLeverage.message, /leverage/);
+
+    const noPrice = await t.throws(subject.openPosition({ amount: 1 }));
+    t.true(noPrice instanceof CEXIO.InvalidOrderError);
+    t.regex(noPrice.message, /eoprice/);
+});
+
+test.serial('getPosition() queries the correct URL and computes PnL for short positions', async t => {
+
+    nockMarketInfo()
+    .post('/api/get_position/', body => {
+        t.deepEqual(body.signature, checkSignature(body));
+        t.deepEqual(body.id, '104102');
+        return true;
+    })
+    .reply(200, {
+        'e': 'get_position',
+        'ok': 'ok',
+        'data': {
+            'id': '104102',
+            'otime': 1475602208467,
+            'symbol': 'BTC',
+            'amount': '2.00000000',
+            'leverage': '2',
+            'ptype': 'short',
+            'pair': 'LTC:GBP',
+            'oprice': '50.5000',
+            'stopLossPrice': '60.0000',
+            'status': 'a'
+        }
+    })
+    .get('/api/last_price/LTC/GBP')
+    .reply(200, { 'curr1': 'LTC', 'curr2': 'GBP', 'lprice': '45.25' });
+
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { numbers: 'string' }));
+
+    const res = await subject.getPosition('104102');
+
+    t.deepEqual(_.omit(res, 'raw'), {
+        id: '104102',
+        pair: 'LTC:GBP',
+        symbol1: 'LTC',
+        symbol2: 'GBP',
+        ptype: 'short',
+        amount: '2.00000000',
+        openPrice: '50.5000',
+        stopLossPrice: '60.0000',
+        leverage: '2',
+        openTime: 1475602208467,
+        status: 'a',
+        lastPrice: '45.25',
+        // LTC:GBP is missing from market info, so the PnL keeps 8 places
+        pnl: '10.50000000'
+    });
+});
+
+test.serial('getPosition() rounds the PnL to the counter currency\'s precision', async t => {
+
+    nockMarketInfo()
+    .post('/api/get_position/')
+    .reply(200, {
+        'e': 'get_position',
+        'ok': 'ok',
+        'data': { 'id': '104103', 'amount': '0.70000000', 'ptype': 'long', 'pair': 'BTC:USD', 'oprice': '100.1000', 'status': 'a' }
+    })
+    .get('/api/last_price/BTC/USD')
+    .reply(200, { 'curr1': 'BTC', 'curr2': 'USD', 'lprice': '100.3' });
+
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { numbers: 'string' }));
+
+    t.deepEqual((await subject.getPosition('104103')).pnl, '0.14');
+});
+
+test('archivedPositions() queries the correct URL', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/archived_positions/BTC/EUR', body => {
+        t.deepEqual(body.signature, checkSignature(body));
+        t.deepEqual(body.dateFrom, '1475000000');
+        t.deepEqual(body.dateTo, '1476000000');
+        return true;
+    })
+    .reply(200, {
+        'e': 'archived_positions',
+        'ok': 'ok',
+        'data': [
+            {
+                'id': '104102',
+                'pair': 'BTC:EUR',
+                'ptype': 'long',
+                'amount': '1.00000000',
+                'oprice': '607.5000',
+                'cprice': '610.0000',
+                'status': 'c'
+            }
+        ]
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.archivedPositions({ dateFrom: new Date(1475000000 * 1000), dateTo: 1476000000 });
+
+    t.deepEqual(res, [
+        {
+            'id': '104102',
+            'pair': 'BTC:EUR',
+            'ptype': 'long',
+            'amount': 1,
+            'oprice': 607.5,
+            'cprice': 610,
+            'status': 'c'
+        }
+    ]);
+});
+
+test('getMarginalFee() queries the correct URL', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/get_marginal_fee/BTC/EUR', body => {
+        t.deepEqual(body.signature, checkSignature(body));
+        return true;
+    })
+    .reply(200, {
+        'e': 'get_marginal_fee',
+        'ok': 'ok',
+        'data': {
+            '2': { 'id': '1', 'leverage': '2', 'fee': '0.1000' },
+            '3': { 'id': '2', 'leverage': '3', 'fee': '0.2000' }
+        }
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.getMarginalFee();
+
+    t.deepEqual(res, {
+        '2': { 'id': '1', 'leverage': 2, 'fee': 0.1 },
+        '3': { 'id': '2', 'leverage': 3, 'fee': 0.2 }
+    });
+});
+
+
+const currencyLimitsReply = {
+    'e': 'currency_limits',
+    'data': {
+        'pairs': [
+            {
+                'minPrice': '1',
+                'symbol2': 'USD',
+                'minLotSize': 0.01,
+                'minLotSizeS2': 2.5,
+                'maxLotSize': 30,
+                'maxPrice': '4096',
+                'symbol1': 'BTC'
+            },
+            {
+                'minPrice': '1',
+                'symbol2': 'EUR',
+                'minLotSize': 0.01,
+                'minLotSizeS2': 2.5,
+                'maxPrice': '4096',
+                'symbol1': 'BTC'
+            }
+        ]
+    },
+    'ok': 'ok'
+};
+
+const currencyProfileReply = {
+    'e': 'currency_profile',
+    'ok': 'ok',
+    'data': {
+        'symbols': [
+            { 'code': 'BTC', 'precision': 8 },
+            { 'code': 'USD', 'precision': 2 },
+            { 'code': 'EUR', 'precision': 2 }
+        ],
+        'pairs': [
+            { 'symbol1': 'BTC', 'symbol2': 'USD', 'pricePrecision': 1 },
+            { 'symbol1': 'BTC', 'symbol2': 'EUR', 'pricePrecision': 4 }
+        ]
+    }
+};
+
+function nockMarketInfo() {
+    return nock('https://cex.io', reqHeaders)
+    .get('/api/currency_limits')
+    .reply(200, currencyLimitsReply)
+    .get('/api/currency_profile')
+    .reply(200, currencyProfileReply);
+}
+
+test.serial('placeOrder() places a limit order', async t => {
+
+    nockMarketInfo()
+    .post('/api/place_order/BTC/USD', body => {
+        t.deepEqual(body.signature, checkSignature(body));
+        t.deepEqual(body.type, 'buy');
+        t.deepEqual(body.amount, '0.50000000');
+        t.deepEqual(body.price, '2500.1');
+        t.deepEqual(body.order_type, undefined);
+        return true;
+    })
+    .reply(200, {
+        'complete': false,
+        'id': '89067468',
+        'time': 1512054972480,
+        'pending': '0.50000000',
+        'amount': '0.50000000',
+        'type': 'buy',
+        'price': '2500.1'
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.placeOrder({ type: 'buy', amount: 0.5, price: 2500.1, ccy1: 'BTC', ccy2: 'USD' });
 
-        'pfee': 3,
-        'cfee': 4,
-        'tfeeAmount': 3.04
+    const expected = {
+        'complete': false,
+        'id': '89067468',
+        'time': 1512054972480,
+        'pending': 0.5,
+        'amount': 0.5,
+        'type': 'buy',
+        'price': 2500.1
     };
 
     t.deepEqual(res, expected);
 });
+
+test.serial('placeOrder() places a market order', async t => {
+
+    nockMarketInfo()
+    .post('/api/place_order/BTC/USD', body => {
+        t.deepEqual(body.type, 'buy');
+        t.deepEqual(body.amount, '3.00');
+        t.deepEqual(body.order_type, 'market');
+        t.deepEqual(body.price, undefined);
+        return true;
+    })
+    .reply(200, {
+        'complete': true,
+        'id': '89067469',
+        'time': 1512054972480,
+        'pending': '0.00000000',
+        'amount': '0.00115000',
+        'type': 'buy'
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.placeOrder({ type: 'buy', amount: 3, orderType: 'market', ccy1: 'BTC', ccy2: 'USD' });
+
+    t.deepEqual(res.complete, true);
+    t.deepEqual(res.amount, 0.00115);
+});
+
+test.serial('placeOrder() rejects orders outside the currency limits without posting', async t => {
+
+    nockMarketInfo();
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const err = await t.throws(subject.placeOrder({ type: 'sell', amount: 0.001, price: 5000, ccy1: 'BTC', ccy2: 'USD' }));
+
+    t.true(err instanceof CEXIO.InvalidOrderError);
+    t.regex(err.message, /below the minimum lot size of 0.01/);
+    t.regex(err.message, /above the maximum price of 4096/);
+    t.deepEqual(err.data.symbol1, 'BTC');
+});
+
+test.serial('placeOrder() throws when CEX.io returns an error', async t => {
+
+    nockMarketInfo()
+    .post('/api/place_order/BTC/USD')
+    .reply(200, {
+        'error': 'Error: Place order error: Insufficient funds.'
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const err = await t.throws(subject.placeOrder({ type: 'sell', amount: 1, price: 2500, ccy1: 'BTC', ccy2: 'USD' }));
+
+    t.true(err instanceof CEXIO.InsufficientFundsError);
+    t.deepEqual(err.message, 'Error: Place order error: Insufficient funds.');
+    t.deepEqual(err.endpoint, 'place_order/BTC/USD');
+    t.deepEqual(err.params.key, '[REDACTED]');
+    t.deepEqual(err.params.signature, '[REDACTED]');
+    t.deepEqual(err.params.price, '2500.0');
+    t.deepEqual(err.data, { 'error': 'Error: Place order error: Insufficient funds.' });
+});
+
+test('cancelOrder() queries the correct URL', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/cancel_order/', body => {
+        t.deepEqual(body.signature, checkSignature(body));
+        t.deepEqual(body.id, '89067468');
+        return true;
+    })
+    .reply(200, 'true');
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.cancelOrder('89067468');
+
+    t.deepEqual(res, true);
+});
+
+test.serial('cancelReplaceOrder() validates and replaces the order', async t => {
+
+    nockMarketInfo()
+    .post('/api/cancel_replace_order/BTC/USD', body => {
+        t.deepEqual(body.signature, checkSignature(body));
+        t.deepEqual(body.order_id, '89067468');
+        t.deepEqual(body.type, 'buy');
+        t.deepEqual(body.amount, '0.02000000');
+        t.deepEqual(body.price, '3100.1');
+        return true;
+    })
+    .reply(200, {
+        'e': 'cancel_replace_order',
+        'ok': 'ok',
+        'data': {
+            'complete': false,
+            'price': '3100.1',
+            'amount': '0.02000000',
+            'time': 1512054972480,
+            'type': 'buy',
+            'id': '89067470',
+            'pending': '0.02000000'
+        }
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.cancelReplaceOrder('89067468', { type: 'buy', amount: 0.02, price: 3100.09, ccy1: 'BTC', ccy2: 'USD' });
+
+    t.deepEqual(res, {
+        'complete': false,
+        'price': 3100.1,
+        'amount': 0.02,
+        'time': 1512054972480,
+        'type': 'buy',
+        'id': '89067470',
+        'pending': 0.02
+    });
+});
+
+test('cancelReplaceOrder() requires an id and a price', async t => {
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const noId = await t.throws(subject.cancelReplaceOrder(undefined, { type: 'buy', amount: 1, price: 100 }));
+    t.true(noId instanceof CEXIO.InvalidOrderError);
+
+    const noPrice = await t.throws(subject.cancelReplaceOrder('1', { type: 'buy', amount: 1 }));
+    t.true(noPrice instanceof CEXIO.InvalidOrderError);
+    t.deepEqual(noPrice.endpoint, 'cancel_replace_order');
+});
+
+test('getMyFee() queries the correct URL', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/get_myfee/', body => {
+        t.deepEqual(body.signature, checkSignature(body));
+        return true;
+    })
+    .reply(200, {
+        'e': 'get_myfee',
+        'ok': 'ok',
+        'data': {
+            'BTC:USD': { 'buy': '0.25', 'sell': '0.25', 'buyMaker': '0.16', 'sellMaker': '0.16' },
+            'ETH:EUR': { 'buy': '0.25', 'sell': '0.25', 'buyMaker': '0', 'sellMaker': '0' }
+        }
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.getMyFee();
+
+    t.deepEqual(res, {
+        'BTC:USD': { 'buy': 0.25, 'sell': 0.25, 'buyMaker': 0.16, 'sellMaker': 0.16 },
+        'ETH:EUR': { 'buy': 0.25, 'sell': 0.25, 'buyMaker': 0, 'sellMaker': 0 }
+    });
+});
+
+test.serial('getAddress() returns the default address', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/get_crypto_address/', body => {
+        t.deepEqual(body.signature, checkSignature(body));
+        t.deepEqual(body.currency, 'BTC');
+        return true;
+    })
+    .reply(200, {
+        'e': 'get_crypto_address',
+        'ok': 'ok',
+        'data': {
+            'name': 'BTC',
+            'addresses': [{ 'blockchain': 'Bitcoin', 'address': '3JjmCaUqWxqKsAdAGrrAGVPJCaW1uAfWA4' }]
+        }
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.getAddress('BTC');
+
+    t.deepEqual(res, {
+        currency: 'BTC',
+        address: '3JjmCaUqWxqKsAdAGrrAGVPJCaW1uAfWA4',
+        addresses: [{ network: 'Bitcoin', address: '3JjmCaUqWxqKsAdAGrrAGVPJCaW1uAfWA4' }]
+    });
+});
+
+test.serial('getAddress() lists every network for multi-network currencies', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/get_crypto_address/', body => body.currency === 'USDT')
+    .reply(200, {
+        'e': 'get_crypto_address',
+        'ok': 'ok',
+        'data': {
+            'name': 'USDT',
+            'addresses': [
+                { 'blockchain': 'ERC20', 'address': '0x2a6e1f2c0b5d4b9e2c6b0c1e1f7d3a4b5c6d7e8f' },
+                { 'blockchain': 'TRC20', 'address': 'TXLAQ63Xg1NAzckPwKHvzw7CSEmLMEqcdj' }
+            ]
+        }
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.getAddress('USDT');
+
+    t.deepEqual(res, {
+        currency: 'USDT',
+        address: '0x2a6e1f2c0b5d4b9e2c6b0c1e1f7d3a4b5c6d7e8f',
+        addresses: [
+            { network: 'ERC20', address: '0x2a6e1f2c0b5d4b9e2c6b0c1e1f7d3a4b5c6d7e8f' },
+            { network: 'TRC20', address: 'TXLAQ63Xg1NAzckPwKHvzw7CSEmLMEqcdj' }
+        ]
+    });
+});
+
+test.serial('getAddress() keeps destination tags as strings', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/get_crypto_address/')
+    .reply(200, {
+        'e': 'get_crypto_address',
+        'ok': 'ok',
+        'data': {
+            'name': 'XRP',
+            'addresses': [{ 'blockchain': 'Ripple', 'address': 'rE1sdh25BJQ3qFwngiTBwaq3zPGGYcrjp1', 'destination': '0065392' }]
+        }
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.getAddress('XRP');
+
+    t.deepEqual(res, {
+        currency: 'XRP',
+        address: 'rE1sdh25BJQ3qFwngiTBwaq3zPGGYcrjp1',
+        destination: '0065392',
+        addresses: [{ network: 'Ripple', address: 'rE1sdh25BJQ3qFwngiTBwaq3zPGGYcrjp1', destination: '0065392' }]
+    });
+});
+
+test.serial('getAddress() falls back to get_address, splitting out destination tags', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/get_crypto_address/')
+    .reply(200, { 'e': 'get_crypto_address', 'ok': 'error', 'data': { 'error': 'Unsupported currency' } })
+    .post('/api/get_address/', body => body.currency === 'XRP')
+    .reply(200, {
+        'e': 'get_address',
+        'ok': 'ok',
+        'data': 'rE1sdh25BJQ3qFwngiTBwaq3zPGGYcrjp1?dt=0065392'
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.getAddress('XRP');
+
+    t.deepEqual(res, {
+        currency: 'XRP',
+        address: 'rE1sdh25BJQ3qFwngiTBwaq3zPGGYcrjp1',
+        destination: '0065392',
+        addresses: [{ address: 'rE1sdh25BJQ3qFwngiTBwaq3zPGGYcrjp1', destination: '0065392' }]
+    });
+});
+
+test.serial('getAddress() does not fall back when the credentials are rejected', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/get_crypto_address/')
+    .reply(200, { 'error': 'Invalid API key' });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const err = await t.throws(subject.getAddress('BTC'));
+
+    t.true(err instanceof CEXIO.AuthenticationError);
+});
+
+test('cancelAllOrders() queries the correct URL', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/cancel_orders/BTC/EUR', body => {
+        t.deepEqual(body.signature, checkSignature(body));
+        return true;
+    })
+    .reply(200, {
+        'e': 'cancel_orders',
+        'ok': 'ok',
+        'data': ['2407314', '2407317']
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.cancelAllOrders();
+
+    t.deepEqual(res, ['2407314', '2407317']);
+});
+
+
+async function collect(iterable) {
+    const iterator = iterable[Symbol.asyncIterator]();
+    const items = [];
+    let next;
+    while (!(next = await iterator.next()).done) {
+        items.push(next.value);
+    }
+    return items;
+}
+
+test('getOrder() queries the correct URL', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/get_order/', body => {
+        t.deepEqual(body.signature, checkSignature(body));
+        t.deepEqual(body.id, '22347874');
+        return true;
+    })
+    .reply(200, {
+        'id': '22347874',
+        'type': 'buy',
+        'time': 1470302860316,
+        'user': 'up106404164',
+        'status': 'cd',
+        'symbol1': 'BTC',
+        'symbol2': 'USD',
+        'amount': '1.00000000',
+        'price': '564',
+        'remains': '0.50000000'
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.getOrder('22347874');
+
+    t.deepEqual(res.id, '22347874');
+    t.deepEqual(res.status, 'cd');
+    t.deepEqual(res.remains, 0.5);
+});
+
+test('getOrderTransactions() queries the correct URL', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/get_order_tx/', body => {
+        t.deepEqual(body.signature, checkSignature(body));
+        t.deepEqual(body.id, '5918682827');
+        return true;
+    })
+    .reply(200, {
+        'e': 'get_order_tx',
+        'ok': 'ok',
+        'data': {
+            'id': '5918682827',
+            'type': 'sell',
+            'amount': '0.01000000',
+            'vtx': [
+                {
+                    'id': '5918682857',
+                    'type': 'sell',
+                    'symbol': 'BTC',
+                    'amount': '-0.01000000',
+                    'price': '4296.9'
+                }
+            ]
+        }
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.getOrderTransactions('5918682827');
+
+    t.deepEqual(res.vtx, [{
+        id: '5918682857',
+        type: 'sell',
+        symbol: 'BTC',
+        amount: -0.01,
+        price: 4296.9
+    }]);
+});
+
+test('archivedOrders() queries the correct URL', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/archived_orders/BTC/EUR', body => {
+        t.deepEqual(body.signature, checkSignature(body));
+        t.deepEqual(body.dateFrom, '1451606400');
+        t.deepEqual(body.dateTo, '1451692800');
+        t.deepEqual(body.limit, '50');
+        t.deepEqual(body.status, 'd');
+        t.deepEqual(body.lastTxDateFrom, undefined);
+        return true;
+    })
+    .reply(200, [
+        { 'id': '22348164', 'type': 'buy', 'amount': '1.00000000', 'price': '800', 'status': 'd' }
+    ]);
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.archivedOrders({
+        dateFrom: new Date('2016-01-01T00:00:00Z'),
+        dateTo: 1451692800,
+        limit: 50,
+        status: 'd'
+    });
+
+    t.deepEqual(res, [{ id: '22348164', type: 'buy', amount: 1, price: 800, status: 'd' }]);
+});
+
+test('archivedOrders() throws when CEX.io returns an error', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/archived_orders/ETH/EUR')
+    .reply(200, { 'error': 'Invalid pair' });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const err = await t.throws(subject.archivedOrders({ ccy1: 'ETH', ccy2: 'EUR' }));
+
+    t.true(err instanceof CEXIO.InvalidOrderError);
+    t.deepEqual(err.message, 'Invalid pair');
+});
+
+test.serial('archivedOrdersIterator() pages through date windows, splitting full pages', async t => {
+
+    const windows = [];
+    const replies = {
+        '1000-1100': [{ id: '1' }, { id: '2' }],
+        '1000-1050': [{ id: '1' }],
+        '1050-1150': [{ id: '1' }, { id: '2' }],
+        '1050-1100': [{ id: '2' }],
+        '1100-1200': [{ id: '2' }, { id: '3' }],
+        '1100-1150': [{ id: '2' }],
+        '1150-1200': [{ id: '3' }]
+    };
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/archived_orders/BTC/EUR', body => {
+        t.deepEqual(body.limit, '2');
+        return true;
+    })
+    .times(7)
+    .reply(200, (uri, body) => {
+        const params = querystring.parse(body);
+        const key = `${ params.dateFrom }-${ params.dateTo }`;
+        windows.push(key);
+        return replies[key];
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await collect(subject.archivedOrdersIterator({ dateFrom: 1000, dateTo: 1200, window: 100, limit: 2 }));
+
+    t.deepEqual(res.map(order => order.id), ['1', '2', '3']);
+    t.deepEqual(windows, Object.keys(replies));
+});
+
+test.serial('archivedOrdersIterator() throws rather than drop orders when one second holds more than a page', async t => {
+
+    const windows = [];
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/archived_orders/BTC/EUR')
+    .times(3)
+    .reply(200, (uri, body) => {
+        const params = querystring.parse(body);
+        windows.push(`${ params.dateFrom }-${ params.dateTo }`);
+        return [{ id: '1' }, { id: '2' }];
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const err = await t.throws(collect(subject.archivedOrdersIterator({ dateFrom: 1000, dateTo: 1004, window: 4, limit: 2 })));
+
+    t.deepEqual(err.message, 'At least 2 orders were placed between 1000 and 1001; raise the limit to page through them');
+    t.deepEqual(windows, ['1000-1004', '1000-1002', '1000-1001']);
+});
+
+test.serial('balance() returns strings when numbers is "string"', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/balance/')
+    .reply(200, {
+        BTC: {
+            'available': '0.12345678',
+            'orders': '0.00000001'
+        }
+    });
+
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { numbers: 'string' }));
+
+    const res = await subject.balance();
+
+    t.deepEqual(res, { BTC: { available: '0.12345678', orders: '0.00000001' } });
+});
+
+test('_get() throws a CexioApiError when the result is not ok', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .get('/api/ticker/LTC/EUR')
+    .reply(200, { 'e': 'ticker', 'ok': 'error' });
+
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { ccy1: 'LTC' }));
+
+    const err = await t.throws(subject.ticker());
+
+    t.true(err instanceof CEXIO.CexioApiError);
+    t.deepEqual(err.name, 'CexioApiError');
+    t.deepEqual(err.endpoint, 'ticker/LTC/EUR');
+});
+
+test('_postAuth() maps CEX.io errors onto error classes', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/open_positions/BTC/GBP')
+    .reply(200, { 'error': 'Nonce must be incremented' })
+    .post('/api/open_positions/BTC/GBP')
+    .reply(200, { 'error': 'Invalid API key' });
+
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { retryOptions: { retries: 0 } }));
+
+    const nonceErr = await t.throws(subject.openPositions('BTC', 'GBP'));
+    t.true(nonceErr instanceof CEXIO.NonceError);
+
+    const authErr = await t.throws(subject.openPositions('BTC', 'GBP'));
+    t.true(authErr instanceof CEXIO.AuthenticationError);
+    t.true(authErr instanceof CEXIO.CexioApiError);
+});
+
+test('_get() maps HTTP errors onto error classes', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .get('/api/last_price/ETH/GBP')
+    .reply(429, 'slow down');
+
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { ccy1: 'ETH', ccy2: 'GBP', retryOptions: { retries: 0 } }));
+
+    const err = await t.throws(subject.lastPrice());
+
+    t.true(err instanceof CEXIO.RateLimitError);
+    t.deepEqual(err.status, 429);
+    t.deepEqual(err.data, 'slow down');
+});
+
+test('_get() wraps connection failures in a NetworkError', async t => {
+
+    const req = () => {
+        const err = new Error('socket hang up');
+        err.code = 'ECONNRESET';
+        return Promise.reject(err);
+    };
+
+    const subject = new CEXIO(defaultCreationArgs, req);
+
+    const err = await t.throws(subject.currencyLimits());
+
+    t.true(err instanceof CEXIO.NetworkError);
+    t.deepEqual(err.code, 'ECONNRESET');
+    t.deepEqual(err.endpoint, 'currency_limits');
+});
+
+function failWith(code) {
+    const err = new Error(`connect ${ code }`);
+    err.code = code;
+    return err;
+}
+
+test('safe reads are retried on transient failures', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .get('/api/ticker/XRP/EUR')
+    .reply(503, 'unavailable')
+    .get('/api/ticker/XRP/EUR')
+    .reply(200, { bid: 1, ask: 2 });
+
+    const retries = [];
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, {
+        ccy1: 'XRP',
+        retryOptions: { retries: 2, minTimeout: 1, onRetry: (err, info) => retries.push([err.status, info]) }
+    }));
+
+    const res = await subject.ticker();
+
+    t.deepEqual(res, { bid: 1, ask: 2 });
+    t.deepEqual(retries, [[503, { attempt: 1, delay: 1, endpoint: 'ticker/XRP/EUR' }]]);
+});
+
+test('reads are not retried on client errors', async t => {
+
+    let calls = 0;
+    const req = () => {
+        calls++;
+        return Promise.resolve({ error: 'Invalid pair' });
+    };
+
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { retryOptions: { retries: 3, minTimeout: 1 } }), req);
+
+    await t.throws(subject.ticker());
+    t.deepEqual(calls, 1);
+});
+
+test('mutations are not replayed after the request may have been sent', async t => {
+
+    let calls = 0;
+    const req = () => {
+        calls++;
+        return Promise.reject(failWith('ECONNRESET'));
+    };
+
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { retryOptions: { retries: 3, minTimeout: 1 } }), req);
+
+    const err = await t.throws(subject.closePosition(104034));
+    t.true(err instanceof CEXIO.NetworkError);
+    t.deepEqual(calls, 1);
+});
+
+test('mutations are retried when the connection was refused', async t => {
+
+    let calls = 0;
+    const req = () => {
+        calls++;
+        return calls === 1
+            ? Promise.reject(failWith('ECONNREFUSED'))
+            : Promise.resolve({ ok: 'ok', data: { id: 104034 } });
+    };
+
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { retryOptions: { retries: 3, minTimeout: 1 } }), req);
+
+    const res = await subject.closePosition(104034);
+    t.deepEqual(res, { id: 104034 });
+    t.deepEqual(calls, 2);
+});
+
+test('retry policies can be overridden per endpoint', async t => {
+
+    let calls = 0;
+    const req = () => {
+        calls++;
+        return Promise.reject(failWith('ECONNREFUSED'));
+    };
+
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, {
+        retryOptions: { retries: 3, minTimeout: 1, policies: { close_position: 'never' } }
+    }), req);
+
+    await t.throws(subject.closePosition(104034));
+    t.deepEqual(calls, 1);
+});
+
+test('cancellations jump ahead of queued private calls', async t => {
+
+    const sent = [];
+    const req = ({ url }) => {
+        sent.push(url);
+        return Promise.resolve(url === 'cancel_order/' ? true : []);
+    };
+
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { rateLimit: { private: 600, burst: 1 } }), req);
+
+    await Promise.all([
+        subject.openOrders(),
+        subject.archivedOrders(),
+        subject.cancelOrder('1')
+    ]);
+
+    t.deepEqual(sent, ['open_orders', 'cancel_order/', 'archived_orders/BTC/EUR']);
+    t.deepEqual(subject.queueStats().private.queued, 0);
+});
+
+test('withOptions() passes a timeout and signal with every request', async t => {
+
+    const sent = [];
+    const req = options => {
+        sent.push(_.pick(options, ['url', 'timeout', 'signal']));
+        return Promise.resolve({ ok: 'ok', data: [] });
+    };
+
+    const { signal } = abortController();
+    const subject = new CEXIO(defaultCreationArgs, req);
+
+    await subject.withOptions({ timeout: 2000 }).withOptions({ signal }).cancelAllOrders();
+    await subject.cancelAllOrders();
+
+    t.deepEqual(sent, [
+        { url: 'cancel_orders/BTC/EUR', timeout: 2000, signal },
+        { url: 'cancel_orders/BTC/EUR' }
+    ]);
+});
+
+test('aborting a call in flight rejects with an AbortError', async t => {
+
+    const req = ({ signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => {
+            const err = new Error('The request was aborted');
+            err.name = 'AbortError';
+            reject(err);
+        });
+    });
+
+    const controller = abortController();
+    const subject = new CEXIO(defaultCreationArgs, req);
+
+    const pending = subject.withOptions({ signal: controller.signal }).balance();
+    setTimeout(() => controller.abort(), 20);
+
+    const err = await t.throws(pending);
+    t.true(err instanceof CEXIO.AbortError);
+    t.deepEqual([err.code, err.endpoint], ['ABORT_ERR', 'balance/']);
+});
+
+test('aborting a call takes it out of the rate limiter queue', async t => {
+
+    const sent = [];
+    const req = options => {
+        sent.push(options.url);
+        return Promise.resolve({ ok: 'ok', data: [] });
+    };
+
+    const controller = abortController();
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { rateLimit: { private: 600, burst: 1 } }), req);
+
+    const first = subject.openPositions();
+    const queued = subject.withOptions({ signal: controller.signal }).archivedOrders();
+    controller.abort();
+
+    const err = await t.throws(queued);
+    await first;
+
+    t.true(err instanceof CEXIO.AbortError);
+    t.deepEqual(err.endpoint, 'archived_orders/BTC/EUR');
+    t.deepEqual(sent, ['open_positions/BTC/EUR']);
+    t.deepEqual(subject.queueStats().private.queued, 0);
+});
+
+test('aborting a call stops it being retried', async t => {
+
+    let calls = 0;
+    const req = () => {
+        calls++;
+        return Promise.reject(failWith('ECONNRESET'));
+    };
+
+    const controller = abortController();
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { retryOptions: { retries: 3, minTimeout: 10000 } }), req);
+
+    const pending = subject.withOptions({ signal: controller.signal }).ticker();
+    setTimeout(() => controller.abort(), 20);
+
+    const err = await t.throws(pending);
+    t.true(err instanceof CEXIO.AbortError);
+    t.deepEqual(calls, 1);
+});
+
+test('middleware sees every attempt, with secrets redacted', async t => {
+
+    let calls = 0;
+    const req = options => {
+        calls++;
+        return calls === 1 ? Promise.reject(failWith('ECONNREFUSED')) : Promise.resolve({ ok: 'ok', data: { id: 1 } });
+    };
+
+    const seen = [];
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { retryOptions: { retries: 1, minTimeout: 1 } }), req);
+    subject.use({
+        beforeRequest: ctx => seen.push(['before', ctx.name, ctx.attempt, ctx.params.key, ctx.params.signature, ctx.params.id]),
+        afterResponse: ctx => seen.push(['after', ctx.name, ctx.attempt, typeof ctx.duration]),
+        onError: ctx => seen.push(['error', ctx.name, ctx.attempt, ctx.error.name, ctx.error.code])
+    });
+
+    await subject.closePosition(7);
+
+    t.deepEqual(seen, [
+        ['before', 'close_position', 1, '[REDACTED]', '[REDACTED]', 7],
+        ['error', 'close_position', 1, 'NetworkError', 'ECONNREFUSED'],
+        ['before', 'close_position', 2, '[REDACTED]', '[REDACTED]', 7],
+        ['after', 'close_position', 2, 'number']
+    ]);
+});
+
+test('middleware can change requests and responses', async t => {
+
+    const sent = [];
+    const req = options => {
+        sent.push(options.headers['X-Trace']);
+        return Promise.resolve({ last: '100' });
+    };
+
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, {
+        middleware: [{
+            beforeRequest: ctx => { ctx.request.headers = Object.assign({}, ctx.request.headers, { 'X-Trace': 'abc' }); },
+            afterResponse: ctx => { ctx.response = Object.assign({ cached: false }, ctx.response); }
+        }]
+    }), req);
+
+    t.deepEqual(await subject.ticker(), { cached: false, last: 100 });
+    t.deepEqual(sent, ['abc']);
+});
+
+test('the request logger and metrics never see the key or signature', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/balance/')
+    .reply(200, { 'timestamp': '1', 'username': 'user' })
+    .post('/api/get_myfee/')
+    .reply(200, { 'error': 'Permission denied' });
+
+    const entries = [];
+    const metrics = new CEXIO.Metrics();
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, {
+        key: 'api-key-1234',
+        middleware: [CEXIO.requestLogger({ log: entry => entries.push(entry) }), metrics]
+    }));
+
+    await subject.balance();
+    await t.throws(subject.getMyFee());
+
+    const logged = JSON.stringify(entries);
+    t.deepEqual(entries.map(entry => entry.event), ['request', 'response', 'request', 'error']);
+    t.false(logged.includes('api-key-1234'));
+    t.false(logged.includes(checkSignature({ nonce: entries[0].params.nonce, key: 'api-key-1234' })));
+    t.deepEqual(_.mapValues(metrics.snapshot(), ({ ok, error, errors }) => ({ ok, error, errors })), {
+        balance: { ok: 1, error: 0, errors: {} },
+        get_myfee: { ok: 0, error: 1, errors: { AuthenticationError: 1 } }
+    });
+});
+
+test('with a cache, concurrent public calls share one request', async t => {
+
+    const sent = [];
+    const req = options => {
+        sent.push(options.url);
+        return new Promise(resolve => setTimeout(() => resolve({ 'last': '100', 'bid': '99' }), 10));
+    };
+
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { cache: { ttls: { ticker: 1000 } } }), req);
+
+    const [first, second] = await Promise.all([subject.ticker(), subject.ticker()]);
+    first.last = 0;
+    const third = await subject.ticker();
+
+    t.deepEqual([second.last, third.last], [100, 100]);
+    t.deepEqual(sent, ['ticker/BTC/EUR']);
+    t.deepEqual(subject.cacheStats(), { size: 1, hits: 1, misses: 1, coalesced: 1 });
+
+    subject.invalidateCache('ticker/BTC/EUR');
+    await subject.ticker();
+    t.deepEqual(sent, ['ticker/BTC/EUR', 'ticker/BTC/EUR']);
+});
+
+test('calls with a signal do not join a shared request', async t => {
+
+    const sent = [];
+    const req = options => {
+        sent.push(options.signal ? 'signal' : 'shared');
+        return new Promise(resolve => setTimeout(() => resolve({ 'lprice': '100' }), 10));
+    };
+
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { cache: true }), req);
+    const { signal } = abortController();
+
+    await Promise.all([subject.lastPrice(), subject.lastPrice(), subject.withOptions({ signal }).lastPrice()]);
+
+    t.deepEqual(sent, ['shared', 'signal']);
+});
+
+test('responses are not cached unless asked for', async t => {
+
+    let calls = 0;
+    const req = () => {
+        calls++;
+        return Promise.resolve({ 'last': '100' });
+    };
+
+    const subject = new CEXIO(defaultCreationArgs, req);
+
+    await Promise.all([subject.ticker(), subject.ticker()]);
+    subject.invalidateCache();
+
+    t.deepEqual(calls, 2);
+    t.deepEqual(subject.cacheStats(), null);
+});
+
+test('the rate limiter can be disabled', t => {
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { rateLimit: false }));
+
+    t.deepEqual(subject.queueStats(), null);
+});
+
+test.serial('concurrent private calls are signed with distinct, increasing nonces', async t => {
+
+    const nonces = [];
+    const record = body => {
+        t.deepEqual(body.signature, checkSignature(body));
+        nonces.push(Number(body.nonce));
+        return true;
+    };
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/balance/', record)
+    .reply(200, {})
+    .post('/api/open_orders', record)
+    .reply(200, []);
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    await Promise.all([subject.balance(), subject.openOrders()]);
+
+    t.deepEqual(nonces.length, 2);
+    t.true(nonces[1] > nonces[0]);
+});
+
+test('nonce errors are re-signed and retried, even for mutations', async t => {
+
+    const nonces = [];
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/close_position/BTC/CAD', body => nonces.push(body.nonce))
+    .reply(200, { 'error': 'Nonce must be incremented' })
+    .post('/api/close_position/BTC/CAD', body => {
+        t.deepEqual(body.signature, checkSignature(body));
+        return nonces.push(body.nonce);
+    })
+    .reply(200, { 'ok': 'ok', 'data': { 'id': 1 } });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.closePosition(1, 'BTC', 'CAD');
+
+    t.deepEqual(res, { id: 1 });
+    t.deepEqual(nonces.length, 2);
+    t.true(Number(nonces[1]) > Number(nonces[0]));
+});
+
+test('a custom nonce store can be supplied', async t => {
+
+    let nonce = 1000;
+    const nonceStore = { next: () => Promise.resolve(++nonce) };
+
+    nock('https://cex.io', reqHeaders)
+    .post('/api/open_positions/BTC/CHF', body => {
+        t.deepEqual(body.nonce, '1001');
+        t.deepEqual(body.signature, checkSignature(body));
+        return true;
+    })
+    .reply(200, { 'ok': 'ok', 'data': [] });
+
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { nonceStore }));
+
+    t.deepEqual(await subject.openPositions('BTC', 'CHF'), []);
+});
+
+test('ohlcv() queries the requested pair', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .get('/api/ohlcv/hd/20160228/ETH/USD')
+    .reply(200, { 'time': 20160228, 'data1m': '[]' });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.ohlcv('20160228', 'ETH', 'USD');
+
+    t.deepEqual(res, { time: 20160228, data1m: [] });
+});
+
+test('ohlcv() returns merged candles for a range of days', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .get('/api/ohlcv/hd/20160228/BTC/GBP')
+    .reply(200, {
+        'time': 20160228,
+        'data1h': JSON.stringify([
+            [1456610400, 430, 431, 429, 430.5, 1.5],
+            [1456696800, 433, 434, 432, 433.5, 2]
+        ])
+    })
+    .get('/api/ohlcv/hd/20160229/BTC/GBP')
+    .reply(200, {
+        'time': 20160229,
+        'data1h': JSON.stringify([
+            [1456696800, 433, 434, 432, 433.5, 2],
+            [1456700400, 433.5, 436, 433, 435, 3.25],
+            [1456786800, 440, 440, 440, 440, 1]
+        ])
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.ohlcv({
+        from: new Date('2016-02-28T00:00:00Z'),
+        to: '20160229',
+        resolution: '1h',
+        ccy2: 'GBP'
+    });
+
+    // the first candle is from the day before the range
+    t.deepEqual(res, [
+        { time: 1456696800, open: 433, high: 434, low: 432, close: 433.5, volume: 2 },
+        { time: 1456700400, open: 433.5, high: 436, low: 433, close: 435, volume: 3.25 },
+        { time: 1456786800, open: 440, high: 440, low: 440, close: 440, volume: 1 }
+    ]);
+});
+
+test('ohlcv() rejects unknown resolutions', async t => {
+    const subject = new CEXIO(defaultCreationArgs);
+
+    await t.throws(subject.ohlcv({ from: '20160228', resolution: '5m' }), /Invalid ohlcv resolution: 5m/);
+});
+
+test('ohlcv() rejects invalid and reversed ranges without sending anything', async t => {
+    const subject = new CEXIO(defaultCreationArgs, () => t.fail('no request should be sent'));
+
+    await t.throws(subject.ohlcv({ from: 'not a date' }), 'Invalid ohlcv from date: not a date');
+    await t.throws(subject.ohlcv({ from: '20160228', to: 'soon' }), 'Invalid ohlcv to date: soon');
+    await t.throws(subject.ohlcv({ from: '20160229', to: '20160228' }), 'ohlcv range ends before it starts: 20160229 to 20160228');
+});
+
+test('ohlcv() treats a Date as the range from that moment', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .get('/api/ohlcv/hd/20160228/BTC/EUR')
+    .reply(200, { 'time': 20160228, 'data1m': JSON.stringify([[1456617600, 430, 431, 429, 430.5, 1.5]]) });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    t.deepEqual(await subject.ohlcv(new Date('2016-02-28T00:00:00Z')), [
+        { time: 1456617600, open: 430, high: 431, low: 429, close: 430.5, volume: 1.5 }
+    ]);
+});
+
+test('tickers() queries the correct URL and keys the result by pair', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .get('/api/tickers/USD/EUR/BTC')
+    .reply(200, {
+        'e': 'tickers',
+        'ok': 'ok',
+        'data': [
+            { 'timestamp': '1513034331', 'pair': 'BTC:USD', 'low': '16011', 'last': '16943.3', 'bid': 16943.3, 'ask': 16949 },
+            { 'timestamp': '1513034331', 'pair': 'BTC:EUR', 'low': '13550.1', 'last': '14249.1', 'bid': 14249, 'ask': 14269.9 }
+        ]
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.tickers('USD', 'EUR', 'BTC');
+
+    t.deepEqual(Object.keys(res), ['BTC:USD', 'BTC:EUR']);
+    t.deepEqual(res['BTC:EUR'], { timestamp: '1513034331', pair: 'BTC:EUR', low: 13550.1, last: 14249.1, bid: 14249, ask: 14269.9 });
+});
+
+test('lastPrices() queries the correct URL and keys the result by pair', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .get('/api/last_prices/BTC/USD/LTC')
+    .reply(200, {
+        'e': 'last_prices',
+        'ok': 'ok',
+        'data': [
+            { 'symbol1': 'BTC', 'symbol2': 'USD', 'lprice': '16943.3' },
+            { 'symbol1': 'LTC', 'symbol2': 'USD', 'lprice': '201.5' },
+            { 'symbol1': 'LTC', 'symbol2': 'BTC', 'lprice': '0.01196' }
+        ]
+    });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.lastPrices('BTC', 'USD', 'LTC');
+
+    t.deepEqual(res, { 'BTC:USD': 16943.3, 'LTC:USD': 201.5, 'LTC:BTC': 0.01196 });
+});
+
+test('tradeHistory() queries the correct URL', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .get('/api/trade_history/BTC/EUR?since=4362759')
+    .reply(200, [
+        { 'type': 'buy', 'date': '1420099559', 'amount': '0.00200000', 'price': '280', 'tid': '4362759' }
+    ]);
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await subject.tradeHistory({ since: 4362759 });
+
+    t.deepEqual(res, [{ type: 'buy', date: '1420099559', amount: 0.002, price: 280, tid: '4362759' }]);
+});
+
+test('tradeHistoryIterator() walks forward by tid until caught up', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .get('/api/trade_history/ETH/EUR?since=10')
+    .reply(200, [
+        { 'type': 'sell', 'amount': '1', 'price': '300', 'tid': '12' },
+        { 'type': 'buy', 'amount': '2', 'price': '301', 'tid': '11' },
+        { 'type': 'buy', 'amount': '1', 'price': '299', 'tid': '10' }
+    ])
+    .get('/api/trade_history/ETH/EUR?since=13')
+    .reply(200, [
+        { 'type': 'buy', 'amount': '3', 'price': '302', 'tid': '14' }
+    ])
+    .get('/api/trade_history/ETH/EUR?since=15')
+    .reply(200, []);
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const res = await collect(subject.tradeHistoryIterator({ since: 10, ccy1: 'ETH' }));
+
+    t.deepEqual(res.map(trade => trade.tid), ['10', '11', '12', '14']);
+});
+
+test.serial('convert() rejects unknown pairs before signing', async t => {
+
+    nockMarketInfo();
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const err = await t.throws(subject.convert(1, 'BTC', 'JPY'));
+
+    t.true(err instanceof CEXIO.InvalidOrderError);
+    t.deepEqual(err.message, 'Unknown currency pair: BTC/JPY');
+});
+
+test.serial('market info is cached between orders', async t => {
+
+    const scope = nockMarketInfo()
+    .post('/api/place_order/BTC/USD')
+    .times(2)
+    .reply(200, { 'id': '1', 'complete': false });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    await subject.placeOrder({ type: 'buy', amount: 1, price: 2000, ccy1: 'BTC', ccy2: 'USD' });
+    await subject.placeOrder({ type: 'buy', amount: 1, price: 2000, ccy1: 'BTC', ccy2: 'USD' });
+
+    t.true(scope.isDone());
+});
+
+test('methods accept a whole pair in place of ccy1 and ccy2', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .get('/api/last_price/LTC/USD')
+    .reply(200, { 'curr1': 'LTC', 'curr2': 'USD', 'lprice': '600.00' })
+    .get('/api/order_book/ETH/EUR')
+    .query({ depth: 1 })
+    .reply(200, { 'timestamp': 1, 'bids': [], 'asks': [], 'pair': 'ETH:EUR', 'id': 1 })
+    .get('/api/trade_history/BTC/GBP')
+    .query({ since: 5 })
+    .reply(200, []);
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    t.deepEqual(await subject.lastPrice('LTC/USD'), 600);
+    t.deepEqual((await subject.orderBook(1, { base: 'eth', quote: 'eur' })).pair, 'ETH:EUR');
+    t.deepEqual(await subject.tradeHistory({ since: 5, pair: 'BTC:GBP' }), []);
+});
+
+test('a pair can be given in place of ccy1 and ccy2 when creating a client', async t => {
+
+    nock('https://cex.io', reqHeaders)
+    .get('/api/ticker/ETH/USD')
+    .reply(200, { 'timestamp': '1', 'last': '300' });
+
+    const subject = new CEXIO(Object.assign({}, defaultCreationArgs, { pair: 'ETH/USD' }));
+
+    t.deepEqual([subject.ccy1, subject.ccy2], ['ETH', 'USD']);
+    t.deepEqual((await subject.ticker()).last, 300);
+});
+
+test('badly written pairs are rejected before anything is sent', async t => {
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const err = await t.throws(subject.lastPrice('BTC-USD'));
+
+    t.deepEqual(err.message, 'Invalid currency pair: BTC-USD/EUR');
+});
+
+test.serial('placeOrder() accepts a pair', async t => {
+
+    const scope = nockMarketInfo()
+    .post('/api/place_order/BTC/USD', body => {
+        t.deepEqual(body.price, '2000.0');
+        return true;
+    })
+    .reply(200, { 'id': '1', 'complete': false });
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    await subject.placeOrder({ type: 'buy', amount: 1, price: 2000, pair: 'BTC/USD' });
+
+    t.true(scope.isDone());
+});
+
+test.serial('pair() binds the pair-specific methods to one pair', async t => {
+
+    const scope = nockMarketInfo()
+    .get('/api/order_book/BTC/USD')
+    .query({ depth: 2 })
+    .reply(200, { 'timestamp': 1, 'bids': [[600, 1]], 'asks': [[601, 1]], 'pair': 'BTC:USD', 'id': 1 })
+    .post('/api/place_order/BTC/USD', body => {
+        t.deepEqual(body.amount, '0.50000000');
+        t.deepEqual(body.price, '600.5');
+        return true;
+    })
+    .reply(200, { 'id': '2', 'complete': false })
+    .post('/api/cancel_orders/BTC/USD')
+    .reply(200, { 'e': 'cancel_orders', 'ok': 'ok', 'data': ['2'] });
+
+    const subject = new CEXIO(defaultCreationArgs);
+    const btcUsd = subject.pair('BTC/USD');
+
+    t.deepEqual(String(btcUsd.pair), 'BTC/USD');
+    t.deepEqual((await btcUsd.orderBook(2)).bids, [[600, 1]]);
+    t.deepEqual((await btcUsd.placeOrder({ type: 'buy', amount: 0.5, price: 600.5, ccy1: 'ETH' })).id, '2');
+    t.deepEqual(await btcUsd.cancelAllOrders(), ['2']);
+    t.true(scope.isDone());
+});
+
+test.serial('pair() views reject pairs missing from market info', async t => {
+
+    nockMarketInfo();
+
+    const subject = new CEXIO(defaultCreationArgs);
+
+    const err = await t.throws(subject.pair({ base: 'BTC', quote: 'JPY' }).orderBook(5));
+
+    t.true(err instanceof CEXIO.InvalidOrderError);
+    t.deepEqual(err.message, 'Unknown currency pair: BTC/JPY');
+});
+
+test.serial('pair-scoped calls reject pairs missing from cached market info', async t => {
+
+    nockMarketInfo();
+
+    const subject = new CEXIO(defaultCreationArgs);
+    await subject.marketInfo.all();
+
+    const err = t.throws(() => subject.orderBook(10, 'FOO/BAR'));
+    t.true(err instanceof CEXIO.InvalidOrderError);
+    t.deepEqual(err.message, 'Unknown currency pair: FOO/BAR');
+
+    await t.throws(subject.cancelAllOrders('ETH', 'EUR'), 'Unknown currency pair: ETH/EUR');
+});
+
+test('an account reads its own namespaced environment variables', async t => {
+    Object.assign(process.env, {
+        CEXIO_TEST_ACCOUNT_CLIENT_ID: 'account id',
+        CEXIO_TEST_ACCOUNT_KEY: 'account key',
+        CEXIO_TEST_ACCOUNT_SECRET: 'account secret'
+    });
+
+    const subject = new CEXIO({ account: 'test-account', ccy1: 'BTC', ccy2: 'USD' });
+
+    t.deepEqual(subject.account, 'test-account');
+    t.deepEqual(await subject.loadCredentials(), { clientId: 'account id', key: 'account key' });
+    t.deepEqual((await new CEXIO({ account: 'test-account', key: 'given' }).loadCredentials()).key, 'given');
+});
+
+test.serial('CEXIOPool signs each account with its own credentials and totals their balances', async t => {
+
+    const seen = [];
+    const scope = nock('https://cex.io', reqHeaders)
+    .post('/api/balance/', body => body.key === 'main-key')
+    .reply(200, { 'timestamp': '1', 'username': 'main', 'BTC': { 'available': '0.5', 'orders': '0.1' } })
+    .post('/api/balance/', body => body.key === 'hedge-key')
+    .reply(200, { 'timestamp': '1', 'username': 'hedge', 'BTC': { 'available': '0.25', 'orders': '0' } });
+
+    const pool = new CEXIO.CEXIOPool({
+        main: { clientId, key: 'main-key', secret },
+        hedge: { clientId, key: 'hedge-key', secret }
+    }, { defaults: { middleware: [{ beforeRequest: ctx => seen.push(ctx.account) }] } });
+
+    t.true(pool.account('main') instanceof CEXIO);
+    t.not(pool.account('main').nonceStore, pool.account('hedge').nonceStore);
+
+    const { accounts, total } = await pool.balance();
+
+    t.deepEqual(accounts.hedge.username, 'hedge');
+    t.deepEqual(total, { BTC: { available: 0.75, orders: 0.1 } });
+    t.deepEqual(seen.sort(), ['hedge', 'main']);
+    t.true(scope.isDone());
+});
+
+test.serial('credentials from an async provider are loaded once, by the first private call', async t => {
+
+    const scope = nock('https://cex.io', reqHeaders)
+    .get('/api/last_price/XRP/USD')
+    .reply(200, { 'lprice': '0.5', 'curr1': 'XRP', 'curr2': 'USD' })
+    .post('/api/get_myfee/', body => body.key === 'vault-key' && body.signature === checkSignature(body))
+    .times(2)
+    .reply(200, { 'ok': 'ok', 'data': {} });
+
+    let loads = 0;
+    const subject = new CEXIO({
+        credentials: async () => {
+            loads++;
+            return { clientId, key: 'vault-key', secret };
+        }
+    });
+
+    await subject.lastPrice('XRP', 'USD');
+    t.deepEqual(loads, 0);
+
+    await Promise.all([subject.getMyFee(), subject.getMyFee()]);
+    t.deepEqual(loads, 1);
+    t.false(JSON.stringify(Object.keys(subject)).includes('secret'));
+    t.true(scope.isDone());
+});
+
+test.serial('rejected credentials are loaded again, and errors never repeat them', async t => {
+
+    const scope = nock('https://cex.io', reqHeaders)
+    .post('/api/get_myfee/', body => body.key === 'old-key')
+    .reply(200, { 'error': 'API key old-key is not authorized', 'key': 'old-key' })
+    .post('/api/get_myfee/', body => body.key === 'new-key')
+    .reply(200, { 'ok': 'ok', 'data': {} });
+
+    const keys = ['old-key', 'new-key'];
+    const subject = new CEXIO({ credentials: () => ({ clientId, key: keys.shift(), secret }) });
+
+    const err = await t.throws(subject.getMyFee());
+
+    t.true(err instanceof CEXIO.AuthenticationError);
+    t.deepEqual(err.message, 'API key [REDACTED] is not authorized');
+    t.deepEqual(err.data, { error: 'API key [REDACTED] is not authorized', key: '[REDACTED]' });
+
+    await subject.getMyFee();
+    t.true(scope.isDone());
+});
+
+test.serial('rotateCredentials() signs later calls with the new credentials', async t => {
+
+    const scope = nock('https://cex.io', reqHeaders)
+    .post('/api/get_myfee/', body => body.key === 'first-key')
+    .reply(200, { 'ok': 'ok', 'data': {} })
+    .post('/api/get_myfee/', body => body.key === 'second-key' && body.signature === checkSignature(body))
+    .reply(200, { 'ok': 'ok', 'data': {} });
+
+    const subject = new CEXIO({ clientId, key: 'first-key', secret });
+
+    await subject.getMyFee();
+    await subject.rotateCredentials({ clientId, key: 'second-key', secret }).withOptions({ timeout: 1000 }).getMyFee();
+
+    t.deepEqual(await subject.loadCredentials(), { clientId, key: 'second-key' });
+    t.true(scope.isDone());
+});